@@ -0,0 +1,113 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { resolveSymlink } from './write.js';
+
+// Originals are kept under .racfp/backups/<run-id>/ in the project: a copy of
+// every changed file in files/ plus a manifest.json listing them. Only the
+// latest runs are kept, DEFAULT_KEEP_BACKUPS unless told otherwise.
+export const BACKUP_DIR = path.join('.racfp', 'backups');
+
+export const DEFAULT_KEEP_BACKUPS = 10;
+
+function backupRoot(flutterProjectPath) {
+  return path.join(flutterProjectPath, BACKUP_DIR);
+}
+
+export function checkKeepBackups(keep) {
+  const count = Number(keep);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid keepBackups: ${keep} (expected a positive integer)`);
+  }
+  return count;
+}
+
+function newRunId() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Starts a backup for one run. Nothing is written until the first file is
+// saved, so runs that change nothing leave no trace; the first save also
+// prunes older runs so that `keep` remain, this one included. Saves made in
+// parallel are done one at a time, as they all update the same manifest.
+export function createBackup(flutterProjectPath, { keep = DEFAULT_KEEP_BACKUPS } = {}) {
+  const retained = checkKeepBackups(keep);
+  let runId = newRunId();
+  let dir = null;
+  let queue = Promise.resolve();
+  const manifest = { runId, createdAt: new Date().toISOString(), files: [] };
+
+  async function saveNow(file) {
+    if (!dir) {
+      // Runs started within the same millisecond get a suffix
+      let suffix = 1;
+      const base = runId;
+      while (await fs.pathExists(path.join(backupRoot(flutterProjectPath), runId))) {
+        runId = `${base}-${suffix++}`;
+      }
+      manifest.runId = runId;
+      dir = path.join(backupRoot(flutterProjectPath), runId);
+      await pruneBackups(flutterProjectPath, retained - 1);
+    }
+    // A symlinked file is saved with the content it points to
+    await fs.copy(path.join(flutterProjectPath, file), path.join(dir, 'files', file), { dereference: true });
+    manifest.files.push({ file: file.split(path.sep).join('/') });
+    await fs.writeJson(path.join(dir, 'manifest.json'), manifest, { spaces: 2 });
+  }
+
+  return {
+    get runId() {
+      return runId;
+    },
+
+    save(file) {
+      const saved = queue.then(() => saveNow(file));
+      queue = saved.catch(() => {});
+      return saved;
+    }
+  };
+}
+
+// Returns the manifests of all backups in the project, oldest first.
+export async function listBackups(flutterProjectPath) {
+  const root = backupRoot(flutterProjectPath);
+  if (!(await fs.pathExists(root))) return [];
+
+  const manifests = [];
+  for (const runId of (await fs.readdir(root)).sort()) {
+    const manifestPath = path.join(root, runId, 'manifest.json');
+    if (await fs.pathExists(manifestPath)) manifests.push(await fs.readJson(manifestPath));
+  }
+  return manifests;
+}
+
+// Removes the oldest backups so that at most `keep` remain, and returns the
+// run ids removed.
+export async function pruneBackups(flutterProjectPath, keep) {
+  const backups = await listBackups(flutterProjectPath);
+  const removed = backups.slice(0, Math.max(0, backups.length - keep)).map(backup => backup.runId);
+  for (const runId of removed) {
+    await fs.remove(path.join(backupRoot(flutterProjectPath), runId));
+  }
+  return removed;
+}
+
+// Puts back the files saved by a run, the latest one when `runId` is
+// omitted, and returns the restored manifest.
+export async function restoreBackup(flutterProjectPath, runId) {
+  const backups = await listBackups(flutterProjectPath);
+  if (backups.length === 0) {
+    throw new Error('No backups found');
+  }
+
+  const manifest = runId ? backups.find(backup => backup.runId === runId) : backups[backups.length - 1];
+  if (!manifest) {
+    throw new Error(`Backup not found: ${runId}`);
+  }
+
+  const dir = path.join(backupRoot(flutterProjectPath), manifest.runId, 'files');
+  for (const { file } of manifest.files) {
+    const target = await resolveSymlink(path.join(flutterProjectPath, file));
+    await fs.copy(path.join(dir, file), target, { overwrite: true });
+  }
+  return manifest;
+}
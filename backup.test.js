@@ -0,0 +1,96 @@
+import { createBackup, listBackups, pruneBackups, restoreBackup } from './backup.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+describe('Backups', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await dir({ unsafeCleanup: true });
+    await fs.outputFile(path.join(tmpDir.path, 'lib', 'main.dart'), '// Original\nvoid main() {}');
+  });
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await tmpDir.cleanup();
+    }
+  });
+
+  test('should not create anything until a file is saved', async () => {
+    createBackup(tmpDir.path);
+    expect(await fs.pathExists(path.join(tmpDir.path, '.racfp'))).toBe(false);
+    expect(await listBackups(tmpDir.path)).toEqual([]);
+  });
+
+  test('should save originals with a manifest', async () => {
+    const store = createBackup(tmpDir.path);
+    await store.save(path.join('lib', 'main.dart'));
+
+    const [manifest] = await listBackups(tmpDir.path);
+    expect(manifest).toMatchObject({ runId: store.runId, files: [{ file: 'lib/main.dart' }] });
+    const copy = path.join(tmpDir.path, '.racfp', 'backups', store.runId, 'files', 'lib', 'main.dart');
+    expect(await fs.readFile(copy, 'utf8')).toBe('// Original\nvoid main() {}');
+  });
+
+  test('should give runs in the same millisecond distinct ids', async () => {
+    const first = createBackup(tmpDir.path);
+    const second = createBackup(tmpDir.path);
+    await first.save(path.join('lib', 'main.dart'));
+    await second.save(path.join('lib', 'main.dart'));
+    expect(second.runId).not.toBe(first.runId);
+    expect(await listBackups(tmpDir.path)).toHaveLength(2);
+  });
+
+  test('should restore the latest or a named run', async () => {
+    const filePath = path.join(tmpDir.path, 'lib', 'main.dart');
+    const first = createBackup(tmpDir.path);
+    await first.save(path.join('lib', 'main.dart'));
+    await fs.writeFile(filePath, 'second');
+    const second = createBackup(tmpDir.path);
+    await second.save(path.join('lib', 'main.dart'));
+    await fs.writeFile(filePath, 'third');
+
+    expect((await restoreBackup(tmpDir.path)).runId).toBe(second.runId);
+    expect(await fs.readFile(filePath, 'utf8')).toBe('second');
+    await restoreBackup(tmpDir.path, first.runId);
+    expect(await fs.readFile(filePath, 'utf8')).toBe('// Original\nvoid main() {}');
+  });
+
+  test('should only keep the latest runs', async () => {
+    const runs = [];
+    for (let i = 0; i < 4; i++) {
+      const store = createBackup(tmpDir.path, { keep: 3 });
+      await store.save(path.join('lib', 'main.dart'));
+      runs.push(store.runId);
+    }
+    expect((await listBackups(tmpDir.path)).map(backup => backup.runId)).toEqual(runs.slice(1));
+
+    expect(await pruneBackups(tmpDir.path, 1)).toEqual(runs.slice(1, 3));
+    expect((await listBackups(tmpDir.path)).map(backup => backup.runId)).toEqual(runs.slice(3));
+    expect(() => createBackup(tmpDir.path, { keep: 0 })).toThrow('Invalid keepBackups: 0');
+  });
+
+  test('should back up and restore the file a symlink points to', async () => {
+    const target = path.join(tmpDir.path, 'shared', 's.dart');
+    const link = path.join(tmpDir.path, 'lib', 's.dart');
+    await fs.outputFile(target, '// Shared\nvoid s() {}');
+    await fs.symlink(path.join('..', 'shared', 's.dart'), link);
+
+    const store = createBackup(tmpDir.path);
+    await store.save(path.join('lib', 's.dart'));
+    const copy = path.join(tmpDir.path, '.racfp', 'backups', store.runId, 'files', 'lib', 's.dart');
+    expect((await fs.lstat(copy)).isSymbolicLink()).toBe(false);
+
+    await fs.writeFile(target, 'void s() {}');
+    await restoreBackup(tmpDir.path);
+    expect((await fs.lstat(link)).isSymbolicLink()).toBe(true);
+    expect(await fs.readFile(target, 'utf8')).toBe('// Shared\nvoid s() {}');
+  });
+
+  test('should fail when there is nothing to restore', async () => {
+    await expect(restoreBackup(tmpDir.path)).rejects.toThrow('No backups found');
+    await createBackup(tmpDir.path).save(path.join('lib', 'main.dart'));
+    await expect(restoreBackup(tmpDir.path, 'missing')).rejects.toThrow('Backup not found: missing');
+  });
+});
@@ -0,0 +1,73 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createHash } from 'crypto';
+import { writeFileAtomic } from './write.js';
+
+export const CACHE_FILE = path.join('.racfp', 'cache.json');
+
+const { version: TOOL_VERSION } = fs.readJsonSync(new URL('./package.json', import.meta.url));
+
+function hash(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+// Identifies the configuration a file was stripped with. Keep patterns may be
+// regular expressions, which JSON would otherwise turn into `{}`.
+function optionsKey(options) {
+  const sorted = Object.fromEntries(Object.entries(options).sort(([a], [b]) => a.localeCompare(b)));
+  return hash(JSON.stringify({ version: TOOL_VERSION, options: sorted }, (key, value) =>
+    value instanceof RegExp ? value.toString() : value));
+}
+
+// Opens the project's cache of files already stripped with `options`. A cache
+// written by another tool version or configuration is ignored as a whole.
+// `lookup(file)` returns the cached result for a file that still holds what
+// the last run left in it, `record(file, content, result)` remembers a file
+// just processed, and `save()` writes the cache back.
+export async function loadCache(flutterProjectPath, options) {
+  const cachePath = path.join(flutterProjectPath, CACHE_FILE);
+  const key = optionsKey(options);
+  let files = {};
+  try {
+    const data = await fs.readJson(cachePath);
+    if (data.key === key) files = data.files;
+  } catch {
+    // A missing or unreadable cache just means starting over
+  }
+  let changed = false;
+
+  return {
+    async lookup(file) {
+      const entry = files[file.split(path.sep).join('/')];
+      if (!entry) return null;
+
+      const filePath = path.join(flutterProjectPath, file);
+      const stats = await fs.stat(filePath);
+      if (stats.size === entry.size && stats.mtimeMs === entry.mtimeMs) return entry;
+      // Touched but maybe not changed, as after a checkout
+      if (stats.size !== entry.size || hash(await fs.readFile(filePath, 'utf8')) !== entry.hash) return null;
+      entry.mtimeMs = stats.mtimeMs;
+      changed = true;
+      return entry;
+    },
+
+    async record(file, content, { kept, generated }) {
+      const stats = await fs.stat(path.join(flutterProjectPath, file));
+      files[file.split(path.sep).join('/')] = {
+        hash: hash(content),
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        kept,
+        ...(generated && { generated })
+      };
+      changed = true;
+    },
+
+    async save() {
+      if (!changed) return;
+      await fs.ensureDir(path.dirname(cachePath));
+      await writeFileAtomic(cachePath, JSON.stringify({ version: TOOL_VERSION, key, files }, null, 2));
+      changed = false;
+    }
+  };
+}
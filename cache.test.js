@@ -0,0 +1,50 @@
+import { loadCache, CACHE_FILE } from './cache.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+describe('Cache', () => {
+  let tmpDir;
+  const file = path.join('lib', 'main.dart');
+
+  beforeEach(async () => {
+    tmpDir = await dir({ unsafeCleanup: true });
+    await fs.outputFile(path.join(tmpDir.path, file), 'void main() {}');
+  });
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await tmpDir.cleanup();
+    }
+  });
+
+  test('should remember files across runs with the same options', async () => {
+    const cache = await loadCache(tmpDir.path, { keepTodos: true });
+    expect(await cache.lookup(file)).toBeNull();
+    await cache.record(file, 'void main() {}', { kept: [] });
+    await cache.save();
+    expect(await fs.readJson(path.join(tmpDir.path, CACHE_FILE))).toMatchObject({ version: '1.0.0', files: { 'lib/main.dart': { kept: [] } } });
+
+    const reopened = await loadCache(tmpDir.path, { keepTodos: true });
+    expect(await reopened.lookup(file)).toMatchObject({ kept: [] });
+    expect(await (await loadCache(tmpDir.path, { keepTodos: false })).lookup(file)).toBeNull();
+    expect(await (await loadCache(tmpDir.path, { keep: [/x/] })).lookup(file)).toBeNull();
+  });
+
+  test('should notice changed content but not a mere touch', async () => {
+    const cache = await loadCache(tmpDir.path, {});
+    await cache.record(file, 'void main() {}', { kept: [] });
+    const filePath = path.join(tmpDir.path, file);
+
+    const later = new Date(Date.now() + 5000);
+    await fs.utimes(filePath, later, later);
+    expect(await cache.lookup(file)).not.toBeNull();
+    await fs.writeFile(filePath, '// New\nvoid main() {}');
+    expect(await cache.lookup(file)).toBeNull();
+  });
+
+  test('should start over from an unreadable cache', async () => {
+    await fs.outputFile(path.join(tmpDir.path, CACHE_FILE), '{ not json');
+    expect(await (await loadCache(tmpDir.path, {})).lookup(file)).toBeNull();
+  });
+});
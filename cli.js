@@ -0,0 +1,528 @@
+import { parseArgs } from 'util';
+import path from 'path';
+import fs from 'fs-extra';
+import { removeComments, checkComments, commentStats, extractTodos, stripSourceAt } from './index.js';
+import { restoreBackup } from './backup.js';
+import { reinsertProject } from './sidecar.js';
+import {
+  removeCommentsInWorkspace,
+  checkCommentsInWorkspace,
+  commentStatsInWorkspace,
+  extractTodosInWorkspace
+} from './workspace.js';
+import { installHook } from './hook.js';
+import { watchProject } from './watch.js';
+import { checkStatsFormat, formatStats } from './stats.js';
+import { checkTodoFormat, todoFormatOf, formatTodos } from './todos.js';
+import { checkReportFormat, reportFromResults, reportFromFindings, mergeReports, formatReport } from './report.js';
+
+const USAGE = `Usage: node index.js [options] <flutter-project-path>
+       node index.js check <flutter-project-path>
+       node index.js restore <flutter-project-path> [run-id]
+       node index.js reinsert [--out <dir>] <flutter-project-path>
+       node index.js install-hook [--check] [--force] <flutter-project-path>
+       node index.js watch --out <dir> [options] <flutter-project-path>
+       node index.js stats [--format table|json|csv] [--top <n>] <flutter-project-path>
+       node index.js extract-todos [--format markdown|csv|json] <flutter-project-path>
+       node index.js [check] [options] - < in.dart > out.dart
+       node index.js [check] [options] --stdout <dart-file>
+
+Options:
+  --dry-run   Show what would change as a diff without writing any files
+  --check     List remaining comments and exit non-zero if there are any
+  --stdin     Read one Dart source from stdin and write it stripped to
+              stdout; the same as giving - as the path
+  --stdout    Write a single Dart file stripped to stdout instead of
+              changing it
+  --stdin-filepath <path>
+              Where the source read from stdin lives, so that the config
+              and include rules of its project apply
+  --workspace Treat <path> as a workspace and process each package found in
+              melos.yaml, the workspace: list of pubspec.yaml, or any
+              folder with a pubspec.yaml, using that package's config
+  --out <dir> Write a stripped copy of the whole project to <dir> and leave
+              the sources untouched. Files an earlier run copied there and
+              no longer in the project are removed from <dir> (they are
+              listed in <dir>/.racfp-mirror.json); nothing else in <dir> is
+              touched, and .git folders are not copied
+  --no-backup Don't save the originals under .racfp/backups before writing
+  --keep-backups <n>
+              How many runs to keep in .racfp/backups, the oldest being
+              removed first (default 10)
+  --sidecar   Save the removed comments under .racfp/comments so that
+              reinsert can put them back
+  --no-cache  Process every file, even those unchanged since the last run
+              with the same options (tracked in .racfp/cache.json)
+  --transactional
+              Revert every file changed in the run if any file fails
+  --continue-on-error
+              Report files that fail and carry on with the rest
+  --staged    Only process the Dart files staged in git
+  --since <ref>
+              Only process the Dart files changed between <ref> and HEAD
+  --lines-only
+              With --staged or --since, only strip comments on changed lines
+  --force     Run --staged or --since even with uncommitted changes, or
+              let install-hook replace an existing git hook
+  --report <json|sarif|junit>
+              Also write every comment removed or kept, with the reason it
+              was kept, as JSON, SARIF 2.1.0 (for code scanning, best with
+              check; run it from the repository root, as locations are
+              relative to the working directory) or JUnit XML
+  --report-file <path>
+              Where to write the report (default racfp-report.json,
+              racfp-report.sarif or racfp-report.xml)
+  --format <format>
+              How stats prints its figures: table (default), json or csv;
+              or extract-todos its list: markdown (default), csv or json
+  --todos <file>
+              Before stripping, write the TODO, FIXME, HACK and XXX comments
+              to <file> as Markdown, CSV or JSON, after its extension
+  --top <n>   How many of the files with the most comments stats lists
+              (default 10)
+  --concurrency <n|auto>
+              Strip on <n> worker threads, or one per core with auto
+              (default 1: single-threaded, easiest to debug)
+  --include <glob>
+              Only process files matching the glob (repeatable, default
+              **/*.dart). A glob naming a build, ios, android, web or test
+              folder, such as test/**/*.dart, brings it back
+  --exclude <glob>
+              Also skip files matching the glob (repeatable), besides the
+              build, ios, android, web and test folders. Files ignored by
+              .gitignore or excluded by analysis_options.yaml are always
+              skipped
+  --no-default-exclude
+              Don't skip the build, ios, android, web and test folders
+  --generated <policy>
+              How to treat generated files (*.g.dart, *.freezed.dart,
+              *.mocks.dart, *.gr.dart, *.config.dart and files marked
+              GENERATED CODE - DO NOT MODIFY BY HAND): skip (default),
+              strip, or keep-header to strip all but their header
+  --keep <pattern>
+              Keep comments matching a glob or /regex/ (repeatable)
+  --keep-todos
+              Keep TODO, FIXME, HACK and XXX comments
+  --keep-public-docs
+              Keep doc comments on public declarations outside lib/src
+  --no-default-keep
+              Also strip analyzer, coverage and formatter directives,
+              language version pins and license headers
+  --no-strip-line
+              Keep // comments
+  --no-strip-block
+              Keep /* */ comments
+  --no-strip-doc
+              Keep /// and /** */ documentation comments
+  -h, --help  Show this help
+
+Before writing over the sources, the originals are saved under
+.racfp/backups/<run-id>/ in the project; restore puts back the latest run or
+the one named. Only the last 10 runs are kept, or as many as --keep-backups
+says.
+
+install-hook sets up a pre-commit hook that strips the staged Dart files and
+stages them again, or only checks them with --check. It adds an entry to an
+existing .pre-commit-config.yaml or husky setup, else writes the git hook.
+
+watch strips the project into the --out directory, then keeps the copy up to
+date as files are created, edited, renamed or deleted, until Ctrl+C.
+
+stats writes nothing. Per file, directory and package it shows the code and
+comment lines, comment density, doc coverage of public declarations and the
+bytes stripping would save, then the files with the most comments.
+
+extract-todos prints the TODO, FIXME, HACK and XXX comments with their file,
+line, owner (from the TODO(owner): syntax) and enclosing declaration, ready
+to import into an issue tracker.
+
+reinsert puts the comments saved with --sidecar back into the stripped files,
+even after the code was edited. With --out it reads the stripped copy from
+<dir> and writes the result over the project's files, so that changes made
+to the copy come back with their comments. Other files are left alone.
+
+Options can also be set in racfp.yaml or a racfp: section of pubspec.yaml
+in the project root, e.g. "exclude: [lib/generated/**]" or "keep-todos: true".
+Flags given on the command line take precedence.
+
+Exit codes: 0 on success, 1 on errors or remaining comments in check
+mode, 2 when some files failed with --continue-on-error or reinsert found
+no place for some comments.
+
+Example: node index.js /path/to/flutter/project`;
+
+const colorEnabled = !process.env.NO_COLOR &&
+  (Boolean(process.env.FORCE_COLOR) || Boolean(process.stdout.isTTY));
+
+function paint(code, text) {
+  return colorEnabled ? `\x1b[${code}m${text}\x1b[0m` : text;
+}
+
+export const color = {
+  red: text => paint(31, text),
+  green: text => paint(32, text),
+  cyan: text => paint(36, text),
+  bold: text => paint(1, text),
+  dim: text => paint(2, text)
+};
+
+export function colorizeDiff(diff) {
+  return diff
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---') || line.startsWith('Index:')) {
+        return color.bold(line);
+      }
+      if (line.startsWith('@@')) return color.cyan(line);
+      if (line.startsWith('+')) return color.green(line);
+      if (line.startsWith('-')) return color.red(line);
+      return line;
+    })
+    .join('\n');
+}
+
+function countChanges(diff) {
+  let added = 0;
+  let removed = 0;
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+') && !line.startsWith('+++')) added++;
+    if (line.startsWith('-') && !line.startsWith('---')) removed++;
+  }
+  return { added, removed };
+}
+
+function printDryRun(results) {
+  const changed = results.filter(result => result.diff);
+  for (const result of changed) {
+    console.log(colorizeDiff(result.diff));
+  }
+
+  console.log(color.bold('\nDry run summary'));
+  for (const result of changed) {
+    const { added, removed } = countChanges(result.diff);
+    console.log(`  ${result.file}  ${color.green(`+${added}`)} ${color.red(`-${removed}`)}`);
+  }
+  console.log(`\n${changed.length} of ${results.length} file(s) would change. Nothing was written.`);
+}
+
+function printKept(results) {
+  const kept = results.flatMap(result => (result.kept ?? []).map(comment => ({ file: result.file, ...comment })));
+  if (kept.length === 0) return;
+
+  console.log(color.bold(`\nKept ${kept.length} comment(s)`));
+  for (const comment of kept) {
+    console.log(`  ${comment.file}:${comment.line}:${comment.column}  ${color.dim(comment.reason)}`);
+  }
+}
+
+function printSummary(results) {
+  const failed = results.filter(result => !result.success);
+  const skipped = results.filter(result => result.skipped);
+  const rows = [
+    ['Changed', results.length - failed.length - skipped.length, color.green],
+    ['Unchanged', skipped.length, text => text],
+    ['Failed', failed.length, failed.length > 0 ? color.red : text => text]
+  ];
+
+  console.log(color.bold('\nSummary'));
+  for (const [label, count, paint] of rows) {
+    console.log(`  ${label.padEnd(10)}${paint(String(count).padStart(6))}`);
+  }
+  for (const result of failed) {
+    console.log(color.red(`  ${result.file}: ${result.error}`));
+  }
+}
+
+function printCheck(findings) {
+  for (const finding of findings) {
+    const location = `${finding.file}:${finding.line}:${finding.column}`;
+    const firstLine = finding.text.split(/\r\n|\r|\n/)[0];
+    console.log(`${location}  ${color.cyan(finding.kind)}  ${color.dim(firstLine)}`);
+  }
+
+  const files = new Set(findings.map(finding => finding.file)).size;
+  if (findings.length === 0) {
+    console.log('No comments found.');
+  } else {
+    console.log(color.red(`\n${findings.length} comment(s) found in ${files} file(s).`));
+  }
+}
+
+function printRun(projectPath, results, dryRun) {
+  if (dryRun) printDryRun(results);
+  printKept(results);
+  printSummary(results);
+
+  const runId = results.find(result => result.backup)?.backup;
+  if (runId) {
+    console.log(`\nOriginals saved as backup ${runId}. Undo with: node index.js restore ${projectPath} ${runId}`);
+  }
+}
+
+const REPORT_EXTENSIONS = { json: 'json', sarif: 'sarif', junit: 'xml' };
+
+async function writeReport(report, format, file = `racfp-report.${REPORT_EXTENSIONS[format]}`) {
+  await fs.outputFile(file, `${formatReport(report, format)}\n`);
+  console.log(`\nReport written to ${file}`);
+}
+
+function printThroughput(fileCount, startedAt) {
+  const seconds = (performance.now() - startedAt) / 1000;
+  const rate = seconds > 0 ? Math.round(fileCount / seconds) : fileCount;
+  console.log(color.dim(`\n${fileCount} file(s) in ${seconds.toFixed(2)}s (${rate} files/s)`));
+}
+
+function printPackageHeading({ name, path: dir }) {
+  console.log(color.bold(`\n=== ${name} (${dir}) ===`));
+}
+
+// File paths are relative to the project, or to the workspace with
+// --workspace.
+async function harvestTodos(projectPath, options, workspace) {
+  if (!workspace) return extractTodos(projectPath, options);
+  const reports = await extractTodosInWorkspace(projectPath, options);
+  return reports.flatMap(({ path: dir, todos }) => todos.map(todo => ({ ...todo, file: path.join(dir, todo.file) })));
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Only the stripped source goes to stdout, so it can be redirected as is.
+// In check mode the findings are printed instead.
+async function runStream(source, filePath, options, check) {
+  const { code, comments } = await stripSourceAt(source, filePath, options);
+  if (check) {
+    const findings = comments
+      .filter(comment => comment.removed)
+      .map(({ line, column, kind, text }) => ({ file: filePath ?? '<stdin>', line, column, kind, text }));
+    printCheck(findings);
+    return findings.length > 0 ? 1 : 0;
+  }
+  process.stdout.write(code);
+  return 0;
+}
+
+export async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      check: { type: 'boolean', default: false },
+      workspace: { type: 'boolean', default: false },
+      stdin: { type: 'boolean', default: false },
+      stdout: { type: 'boolean', default: false },
+      'stdin-filepath': { type: 'string' },
+      out: { type: 'string' },
+      staged: { type: 'boolean', default: false },
+      since: { type: 'string' },
+      'lines-only': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      report: { type: 'string' },
+      'report-file': { type: 'string' },
+      format: { type: 'string' },
+      todos: { type: 'string' },
+      top: { type: 'string', default: '10' },
+      // No defaults below: flags left out fall back to the config file
+      'no-backup': { type: 'boolean' },
+      'keep-backups': { type: 'string' },
+      'no-cache': { type: 'boolean' },
+      sidecar: { type: 'boolean' },
+      transactional: { type: 'boolean' },
+      'continue-on-error': { type: 'boolean' },
+      concurrency: { type: 'string' },
+      include: { type: 'string', multiple: true },
+      exclude: { type: 'string', multiple: true },
+      'no-default-exclude': { type: 'boolean' },
+      generated: { type: 'string' },
+      keep: { type: 'string', multiple: true },
+      'keep-todos': { type: 'boolean' },
+      'keep-public-docs': { type: 'boolean' },
+      'no-default-keep': { type: 'boolean' },
+      'no-strip-line': { type: 'boolean' },
+      'no-strip-block': { type: 'boolean' },
+      'no-strip-doc': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const command = ['check', 'restore', 'reinsert', 'install-hook', 'watch', 'stats', 'extract-todos'].includes(positionals[0])
+    ? positionals.shift()
+    : null;
+  const [projectPath] = positionals;
+  if (values.help || (!projectPath && !values.stdin)) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  if (command === 'restore') {
+    const manifest = await restoreBackup(projectPath, positionals[1]);
+    for (const { file } of manifest.files) console.log(`Restored: ${file}`);
+    console.log(`\nRestored ${manifest.files.length} file(s) from backup ${manifest.runId}.`);
+    return 0;
+  }
+
+  if (command === 'reinsert') {
+    const results = await reinsertProject(projectPath, {
+      from: values.out,
+      backup: !values['no-backup'],
+      keepBackups: values['keep-backups']
+    });
+    for (const { file, placed, unplaced } of results) {
+      console.log(`Reinserted: ${file} (${placed.length} comment(s))`);
+      for (const entry of unplaced) {
+        console.log(color.red(`  No place found for line ${entry.line}: ${entry.text.split(/\r\n|\r|\n/)[0]}`));
+      }
+    }
+    const unplaced = results.reduce((count, result) => count + result.unplaced.length, 0);
+    if (unplaced > 0) {
+      console.log(`\n${unplaced} comment(s) could not be placed and stay in .racfp/comments.`);
+      return 2;
+    }
+    console.log(`\nReinserted the comments of ${results.length} file(s).`);
+    return 0;
+  }
+
+  if (command === 'install-hook') {
+    const { kind, file } = await installHook(projectPath, {
+      mode: values.check ? 'check' : 'strip',
+      force: values.force
+    });
+    console.log(`Installed ${kind} hook: ${file}`);
+    return 0;
+  }
+
+  // A --no-* flag turns its option off; without it the option is unset
+  const unless = flag => (values[flag] ? false : undefined);
+  const options = {
+    include: values.include,
+    exclude: values.exclude,
+    defaultExclude: unless('no-default-exclude'),
+    generated: values.generated,
+    keep: values.keep,
+    keepTodos: values['keep-todos'],
+    keepPublicDocs: values['keep-public-docs'],
+    keepDefaults: unless('no-default-keep'),
+    stripLine: unless('no-strip-line'),
+    stripBlock: unless('no-strip-block'),
+    stripDoc: unless('no-strip-doc'),
+    staged: values.staged,
+    since: values.since,
+    linesOnly: values['lines-only']
+  };
+
+  const fromStdin = values.stdin || projectPath === '-';
+  if (fromStdin || values.stdout) {
+    const filePath = fromStdin ? values['stdin-filepath'] : projectPath;
+    const source = fromStdin ? await readStream(process.stdin) : await fs.readFile(projectPath, 'utf8');
+    return runStream(source, filePath, options, command === 'check' || values.check);
+  }
+
+  if (command === 'stats') {
+    const format = checkStatsFormat(values.format ?? 'table');
+    const top = Number(values.top);
+    if (!Number.isInteger(top) || top < 0) {
+      throw new Error(`Invalid --top: ${values.top} (expected a whole number)`);
+    }
+    const packages = values.workspace
+      ? await commentStatsInWorkspace(projectPath, { ...options, top })
+      : [{ name: path.basename(path.resolve(projectPath)), path: '.', stats: await commentStats(projectPath, { ...options, top }) }];
+    console.log(formatStats(packages, format));
+    return 0;
+  }
+
+  if (command === 'extract-todos') {
+    const format = checkTodoFormat(values.format ?? 'markdown');
+    console.log(formatTodos(await harvestTodos(projectPath, options, values.workspace), format));
+    return 0;
+  }
+
+  const reportFormat = values.report && checkReportFormat(values.report);
+  if (command === 'check' || values.check) {
+    // Kept comments only go to the report; the findings are those left over
+    const checkOptions = { ...options, includeKept: Boolean(reportFormat) };
+    const leftOver = findings => findings.filter(finding => !finding.reason);
+    if (values.workspace) {
+      const reports = await checkCommentsInWorkspace(projectPath, checkOptions);
+      for (const report of reports) {
+        printPackageHeading(report);
+        printCheck(leftOver(report.findings));
+      }
+      if (reportFormat) {
+        const report = mergeReports(reports.map(({ path: dir, findings }) =>
+          reportFromFindings(findings, path.join(projectPath, dir))));
+        await writeReport(report, reportFormat, values['report-file']);
+      }
+      return reports.some(report => leftOver(report.findings).length > 0) ? 1 : 0;
+    }
+    const findings = await checkComments(projectPath, checkOptions);
+    printCheck(leftOver(findings));
+    if (reportFormat) {
+      await writeReport(reportFromFindings(findings, projectPath), reportFormat, values['report-file']);
+    }
+    return leftOver(findings).length > 0 ? 1 : 0;
+  }
+
+  const dryRun = values['dry-run'];
+  const runOptions = {
+    ...options,
+    dryRun,
+    outDir: values.out,
+    backup: unless('no-backup'),
+    keepBackups: values['keep-backups'],
+    cache: unless('no-cache'),
+    sidecar: values.sidecar,
+    transactional: values.transactional,
+    continueOnError: values['continue-on-error'],
+    concurrency: values.concurrency,
+    force: values.force
+  };
+
+  if (command === 'watch') {
+    const watcher = await watchProject(projectPath, runOptions);
+    printKept(watcher.results);
+    printSummary(watcher.results);
+    console.log(`\nWatching ${projectPath} for changes. Press Ctrl+C to stop.`);
+    await new Promise(resolve => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    await watcher.close();
+    console.log('\nStopped watching.');
+    return 0;
+  }
+
+  if (values.todos) {
+    const format = todoFormatOf(values.todos);
+    const todos = await harvestTodos(projectPath, options, values.workspace);
+    await fs.outputFile(values.todos, `${formatTodos(todos, format)}\n`);
+    console.log(`Saved ${todos.length} TODO comment(s) to ${values.todos}\n`);
+  }
+
+  const startedAt = performance.now();
+  if (values.workspace) {
+    const reports = await removeCommentsInWorkspace(projectPath, runOptions);
+    for (const report of reports) {
+      printPackageHeading(report);
+      printRun(path.join(projectPath, report.path), report.results, dryRun);
+    }
+    if (reportFormat) {
+      const report = mergeReports(reports.map(({ path: dir, results }) =>
+        reportFromResults(results, path.join(projectPath, dir))));
+      await writeReport(report, reportFormat, values['report-file']);
+    }
+    printThroughput(reports.reduce((count, report) => count + report.results.length, 0), startedAt);
+    return reports.every(report => report.results.every(result => result.success)) ? 0 : 2;
+  }
+
+  const results = await removeComments(projectPath, runOptions);
+  printRun(projectPath, results, dryRun);
+  if (reportFormat) {
+    await writeReport(reportFromResults(results, projectPath), reportFormat, values['report-file']);
+  }
+  printThroughput(results.length, startedAt);
+  return results.every(result => result.success) ? 0 : 2;
+}
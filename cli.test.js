@@ -0,0 +1,92 @@
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+const INDEX_PATH = fileURLToPath(new URL('./index.js', import.meta.url));
+
+describe('Command line', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await dir({ unsafeCleanup: true });
+    await fs.mkdir(path.join(tmpDir.path, 'lib'));
+  });
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await tmpDir.cleanup();
+    }
+  });
+
+  function run(args, input) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [INDEX_PATH, ...args], {
+      cwd: tmpDir.path,
+      input,
+      encoding: 'utf8',
+      env: { ...process.env, NO_COLOR: '1', FORCE_COLOR: '' }
+    });
+    return { code: status, stdout, stderr };
+  }
+
+  test('should exit 1 in check mode while comments remain', async () => {
+    const filePath = path.join(tmpDir.path, 'lib', 'main.dart');
+    await fs.writeFile(filePath, '// Entry point\nvoid main() {}\n');
+
+    const found = run(['check', tmpDir.path]);
+    expect(found.code).toBe(1);
+    expect(found.stdout).toContain(`${path.join('lib', 'main.dart')}:1:1  line  // Entry point`);
+    expect(await fs.readFile(filePath, 'utf8')).toBe('// Entry point\nvoid main() {}\n');
+
+    await fs.writeFile(filePath, 'void main() {}\n');
+    const clean = run(['--check', tmpDir.path]);
+    expect(clean.code).toBe(0);
+    expect(clean.stdout).toContain('No comments found.');
+  });
+
+  test('should exit 2 when files fail with --continue-on-error', async () => {
+    const locked = path.join(tmpDir.path, 'lib', 'a.dart');
+    await fs.writeFile(locked, '// A\nvoid a() {}\n');
+    await fs.chmod(locked, 0o444);
+    await fs.writeFile(path.join(tmpDir.path, 'lib', 'b.dart'), '// B\nvoid b() {}\n');
+
+    const { code, stdout } = run(['--continue-on-error', '--no-backup', tmpDir.path]);
+    expect(code).toBe(2);
+    expect(stdout).toMatch(/Failed\s+1/);
+    expect(stdout).toContain(`${path.join('lib', 'a.dart')}: EACCES`);
+    expect(await fs.readFile(path.join(tmpDir.path, 'lib', 'b.dart'), 'utf8')).toBe('void b() {}\n');
+
+    expect(run(['--no-backup', tmpDir.path]).code).toBe(1);
+  });
+
+  test('should write only the stripped source to stdout', async () => {
+    const source = '// Entry point\nvoid main() {} // Run\n';
+    for (const args of [['-'], ['--stdin']]) {
+      const { code, stdout } = run(args, source);
+      expect(code).toBe(0);
+      expect(stdout).toBe('void main() {}\n');
+    }
+
+    const filePath = path.join(tmpDir.path, 'lib', 'main.dart');
+    await fs.writeFile(filePath, source);
+    expect(run(['--stdout', filePath])).toMatchObject({ code: 0, stdout: 'void main() {}\n' });
+    expect(await fs.readFile(filePath, 'utf8')).toBe(source);
+
+    const check = run(['check', '-'], source);
+    expect(check.code).toBe(1);
+    expect(check.stdout).toContain('<stdin>:1:1  line  // Entry point');
+  });
+
+  test('should apply the project excludes to --stdin-filepath', async () => {
+    await fs.writeFile(path.join(tmpDir.path, 'pubspec.yaml'), 'name: app\nracfp:\n  exclude: [lib/generated/**]\n');
+    const source = '// Generated\nvoid g() {}\n';
+
+    const excluded = run(['-', '--stdin-filepath', path.join(tmpDir.path, 'lib', 'generated', 'g.dart')], source);
+    expect(excluded).toMatchObject({ code: 0, stdout: source });
+    const testFile = run(['-', '--stdin-filepath', path.join(tmpDir.path, 'test', 'g_test.dart')], source);
+    expect(testFile).toMatchObject({ code: 0, stdout: source });
+    const included = run(['-', '--stdin-filepath', path.join(tmpDir.path, 'lib', 'g.dart')], source);
+    expect(included).toMatchObject({ code: 0, stdout: 'void g() {}\n' });
+  });
+});
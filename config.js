@@ -0,0 +1,107 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { parse } from 'yaml';
+
+export const DEFAULT_INCLUDE = ['**/*.dart'];
+export const DEFAULT_EXCLUDE = ['**/build/**', '**/ios/**', '**/android/**', '**/web/**', '**/test/**'];
+
+export const CONFIG_FILE = 'racfp.yaml';
+
+// Options a config file may set. Keys can be written in camelCase,
+// snake_case or kebab-case.
+const CONFIG_OPTIONS = [
+  'include',
+  'exclude',
+  'defaultExclude',
+  'generated',
+  'keep',
+  'keepDefaults',
+  'keepTodos',
+  'keepPublicDocs',
+  'stripLine',
+  'stripBlock',
+  'stripDoc',
+  'backup',
+  'keepBackups',
+  'transactional',
+  'continueOnError',
+  'concurrency',
+  'cache',
+  'sidecar'
+];
+
+const LIST_OPTIONS = ['include', 'exclude', 'keep'];
+
+function camelCase(key) {
+  return key.replace(/[-_]([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function normalizeConfig(raw, source) {
+  if (raw === null || raw === undefined) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid configuration in ${source}: expected a mapping`);
+  }
+
+  const config = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const option = camelCase(key);
+    if (!CONFIG_OPTIONS.includes(option)) {
+      console.warn(`Unknown option in ${source}: ${key}`);
+      continue;
+    }
+    config[option] = LIST_OPTIONS.includes(option) && !Array.isArray(value) ? [value] : value;
+  }
+  return config;
+}
+
+async function readYaml(filePath) {
+  try {
+    return parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid configuration in ${path.basename(filePath)}: ${error.message}`);
+  }
+}
+
+// Loads racfp.yaml from the project root, or else the `racfp:` section of
+// pubspec.yaml. Returns an empty object when neither exists.
+export async function loadConfig(flutterProjectPath) {
+  const configPath = path.join(flutterProjectPath, CONFIG_FILE);
+  if (await fs.pathExists(configPath)) {
+    return normalizeConfig(await readYaml(configPath), CONFIG_FILE);
+  }
+
+  const pubspecPath = path.join(flutterProjectPath, 'pubspec.yaml');
+  if (await fs.pathExists(pubspecPath)) {
+    const pubspec = await readYaml(pubspecPath);
+    return normalizeConfig(pubspec?.racfp, 'pubspec.yaml');
+  }
+  return {};
+}
+
+// The default excludes that apply with `include`: an include glob naming a
+// folder the defaults skip brings it back, as test/**/*.dart does for
+// **/test/**.
+function defaultExcludesFor(include) {
+  const named = new Set(include.flatMap(pattern => pattern.split('/')));
+  return DEFAULT_EXCLUDE.filter(pattern => !named.has(pattern.split('/')[1]));
+}
+
+// Layers the options: defaults, then the project's config file, then the
+// options given by the caller. Undefined values don't override. The
+// `exclude` globs add to the default ones, unless `defaultExclude` is false;
+// the result lists them all.
+export async function resolveOptions(flutterProjectPath, options = {}) {
+  const resolved = {
+    include: DEFAULT_INCLUDE,
+    exclude: [],
+    defaultExclude: true,
+    ...(await loadConfig(flutterProjectPath))
+  };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) resolved[key] = value;
+  }
+
+  const { defaultExclude, ...rest } = resolved;
+  const defaults = defaultExclude ? defaultExcludesFor(rest.include) : [];
+  return { ...rest, exclude: [...new Set([...defaults, ...rest.exclude])] };
+}
@@ -0,0 +1,78 @@
+import { loadConfig, resolveOptions, DEFAULT_EXCLUDE, DEFAULT_INCLUDE } from './config.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+describe('Project config', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await dir({ unsafeCleanup: true });
+  });
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await tmpDir.cleanup();
+    }
+  });
+
+  test('should return nothing without a config file', async () => {
+    expect(await loadConfig(tmpDir.path)).toEqual({});
+    expect(await resolveOptions(tmpDir.path)).toEqual({ include: DEFAULT_INCLUDE, exclude: DEFAULT_EXCLUDE });
+  });
+
+  test('should normalise keys and wrap single globs', async () => {
+    await fs.writeFile(
+      path.join(tmpDir.path, 'racfp.yaml'),
+      'exclude: lib/generated/**\nkeep-todos: true\nstrip_doc: false\n'
+    );
+    expect(await loadConfig(tmpDir.path)).toEqual({
+      exclude: ['lib/generated/**'],
+      keepTodos: true,
+      stripDoc: false
+    });
+  });
+
+  test('should prefer racfp.yaml over pubspec.yaml', async () => {
+    await fs.writeFile(path.join(tmpDir.path, 'pubspec.yaml'), 'name: app\nracfp:\n  keepTodos: true\n');
+    expect(await loadConfig(tmpDir.path)).toEqual({ keepTodos: true });
+    await fs.writeFile(path.join(tmpDir.path, 'racfp.yaml'), 'stripLine: false\n');
+    expect(await loadConfig(tmpDir.path)).toEqual({ stripLine: false });
+  });
+
+  test('should warn about unknown keys and reject malformed files', async () => {
+    const warnings = [];
+    const { warn } = console;
+    console.warn = message => warnings.push(message);
+    await fs.writeFile(path.join(tmpDir.path, 'racfp.yaml'), 'colour: red\n');
+    try {
+      expect(await loadConfig(tmpDir.path)).toEqual({});
+    } finally {
+      console.warn = warn;
+    }
+    expect(warnings).toEqual(['Unknown option in racfp.yaml: colour']);
+
+    await fs.writeFile(path.join(tmpDir.path, 'racfp.yaml'), '- a\n- b\n');
+    await expect(loadConfig(tmpDir.path)).rejects.toThrow('Invalid configuration in racfp.yaml: expected a mapping');
+    await fs.writeFile(path.join(tmpDir.path, 'racfp.yaml'), 'exclude: [\n');
+    await expect(loadConfig(tmpDir.path)).rejects.toThrow('Invalid configuration in racfp.yaml');
+  });
+
+  test('should let given options override the file and the file the defaults', async () => {
+    await fs.writeFile(path.join(tmpDir.path, 'racfp.yaml'), 'exclude: [lib/generated/**]\nkeepTodos: true\n');
+    expect(await resolveOptions(tmpDir.path, { keepTodos: false, stripDoc: undefined })).toEqual({
+      include: DEFAULT_INCLUDE,
+      exclude: [...DEFAULT_EXCLUDE, 'lib/generated/**'],
+      keepTodos: false
+    });
+  });
+
+  test('should add excludes to the defaults and let includes bring folders back', async () => {
+    expect((await resolveOptions(tmpDir.path, { exclude: ['lib/generated/**'] })).exclude)
+      .toEqual([...DEFAULT_EXCLUDE, 'lib/generated/**']);
+    expect((await resolveOptions(tmpDir.path, { include: ['lib/**/*.dart', 'test/**/*.dart'] })).exclude)
+      .toEqual(DEFAULT_EXCLUDE.filter(pattern => pattern !== '**/test/**'));
+    expect((await resolveOptions(tmpDir.path, { exclude: ['lib/a.dart'], defaultExclude: false })).exclude)
+      .toEqual(['lib/a.dart']);
+  });
+});
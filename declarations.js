@@ -0,0 +1,261 @@
+// A shallow outline of a Dart file: top-level declarations, the members of
+// classes, mixins, enums and extensions, and the doc comments attached to
+// each. Function bodies and initializers are skipped, not parsed.
+
+import { tokenize, createLocator } from './lexer.js';
+
+const TYPE_HEADER = /^(?:(?:abstract|base|final|interface|sealed|macro|augment)\s+)*(mixin\s+class|class|mixin|enum|extension\s+type|extension)\b/;
+const IDENTIFIER = /[A-Za-z_$][\w$]*/g;
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+
+// Modifiers that may come before a record type at the start of a header
+const LEADING_MODIFIERS = /^(?:(?:static|final|const|late|external|abstract|covariant|var)\s+)*$/;
+
+function typeName(kind, header) {
+  const pattern = {
+    class: /\bclass\s+([\w$]+)/,
+    mixin: /\bmixin\s+([\w$]+)/,
+    enum: /\benum\s+([\w$]+)/,
+    'extension type': /\bextension\s+type\s+(?:const\s+)?([\w$]+)/,
+    extension: /\bextension\s+(?!on\b)([\w$]+)/
+  }[kind];
+  return pattern.exec(header)?.[1] ?? null;
+}
+
+// Drops type arguments and parenthesized groups, such as record types and
+// the parameters of a function type, so that their commas and identifiers
+// aren't mistaken for the declaration's own.
+function stripTypeGroups(header) {
+  let previous;
+  do {
+    previous = header;
+    header = header.replace(/<[^<>]*>/g, ' ').replace(/\([^()]*\)/g, ' ');
+  } while (header !== previous);
+  return header;
+}
+
+function memberName(header) {
+  const operator = /\boperator\s*(\S+)$/.exec(header);
+  if (operator) return `operator ${operator[1]}`;
+  const identifiers = stripTypeGroups(header).split(',')[0].match(IDENTIFIER);
+  return identifiers ? identifiers[identifiers.length - 1] : null;
+}
+
+function memberKind(header, cut, parent) {
+  const words = stripTypeGroups(header).trim().replace(/^((const|factory|external|static)\s+)+/, '').match(IDENTIFIER) ?? [];
+  if (/^typedef\b/.test(header)) return 'typedef';
+  if (/\bget\s+[\w$]+$/.test(header)) return 'getter';
+  if (/\bset\s+[\w$]+$/.test(header)) return 'setter';
+  if (parent && words[0] === parent.name && cut === '(') return 'constructor';
+  if (cut === '(') return parent ? 'method' : 'function';
+  return parent ? 'field' : 'variable';
+}
+
+// Returns the declarations of `source` in order. Each one has a `kind`, a
+// `name` (null when anonymous), its `parent` type for members, the doc
+// comment tokens in `docs`, `start` and `end` offsets, the 1-based `line`
+// and whether it is `public`: named without a leading underscore, inside a
+// public type when it is a member.
+export function parseDeclarations(source, tokens = tokenize(source)) {
+  const tokenAt = new Map(tokens.map(token => [token.start, token]));
+  const locate = createLocator(source);
+  const declarations = [];
+  let pos = 0;
+
+  function skipTrivia(comments) {
+    while (pos < source.length) {
+      const token = tokenAt.get(pos);
+      if (token?.type === 'comment') {
+        comments.push(token);
+        pos = token.end;
+      } else if (/\s/.test(source[pos])) {
+        pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  // Skips a balanced (), [] or {} group, strings and comments included
+  function skipGroup() {
+    const stack = [];
+    while (pos < source.length) {
+      const token = tokenAt.get(pos);
+      if (token) {
+        pos = token.end;
+        continue;
+      }
+      const char = source[pos++];
+      if (CLOSING[char]) stack.push(CLOSING[char]);
+      else if (char === stack[stack.length - 1]) stack.pop();
+      if (stack.length === 0) return;
+    }
+  }
+
+  function skipAnnotations(comments) {
+    while (source[pos] === '@') {
+      pos++;
+      while (pos < source.length && /[\w$.]/.test(source[pos])) pos++;
+      skipTrivia(comments);
+      if (source[pos] === '(') {
+        skipGroup();
+        skipTrivia(comments);
+      }
+    }
+  }
+
+  // Reads up to the first character that ends a declaration header and
+  // returns that character.
+  function readHeader(headerStart, inEnum) {
+    while (pos < source.length) {
+      const token = tokenAt.get(pos);
+      if (token) {
+        pos = token.end;
+        continue;
+      }
+      const char = source[pos];
+      const header = source.slice(headerStart, pos);
+      if (/\S/.test(char) && /\boperator\s*$/.test(header)) {
+        while (pos < source.length && /[^\s(]/.test(source[pos])) pos++;
+      } else if (char === '(' && (/\bFunction\??\s*$/.test(header) || LEADING_MODIFIERS.test(header))) {
+        // A function type's parameters, or a record type such as the
+        // `(int, String)` of `(int, String) pair() => ...`
+        skipGroup();
+      } else if (char === '<') {
+        let depth = 0;
+        do {
+          if (source[pos] === '<') depth++;
+          if (source[pos] === '>') depth--;
+          pos++;
+        } while (pos < source.length && depth > 0);
+      } else if (char === '[') {
+        skipGroup();
+      } else if ('({;=}'.includes(char) || (inEnum && char === ',')) {
+        return char;
+      } else {
+        pos++;
+      }
+    }
+    return null;
+  }
+
+  // Skips the rest of a member or top-level declaration: up to its `;`, the
+  // end of a function body, or the `,` after an enum value. Returns the
+  // character that ended it.
+  function skipToEnd(inEnum) {
+    let last = '';
+    while (pos < source.length) {
+      const token = tokenAt.get(pos);
+      if (token) {
+        pos = token.end;
+        if (token.type === 'string') last = '"';
+        continue;
+      }
+      const char = source[pos];
+      if (char === ';' || (inEnum && char === ',')) {
+        pos++;
+        return char;
+      }
+      if (char === '}') return char;
+      if (char === '{') {
+        // A block straight after a parameter list, identifier or `async*`
+        // is a body; anywhere else it is a set or map literal.
+        const body = /[\w$)*]/.test(last);
+        skipGroup();
+        if (body) return '}';
+        last = '}';
+      } else if (char === '(' || char === '[') {
+        skipGroup();
+        last = ')';
+      } else {
+        if (!/\s/.test(char)) last = char;
+        pos++;
+      }
+    }
+    return null;
+  }
+
+  function add(declaration) {
+    declaration.public = declaration.name !== null && !declaration.name.startsWith('_') &&
+      (!declaration.parent || declaration.parent.public);
+    declaration.line = locate(declaration.start).line;
+    declarations.push(declaration);
+    return declaration;
+  }
+
+  // Parses declarations until the `}` closing `parent`, or the end of the
+  // file at the top level.
+  function body(parent, isEnum) {
+    let inEnum = isEnum;
+    while (pos < source.length) {
+      const comments = [];
+      skipTrivia(comments);
+      if (pos >= source.length) return;
+      if (source[pos] === '}') {
+        pos++;
+        if (parent) return;
+        continue;
+      }
+
+      const start = pos;
+      skipAnnotations(comments);
+      const docs = comments.filter(comment => comment.kind === 'doc');
+      const headerStart = pos;
+      const cut = readHeader(headerStart, inEnum);
+      const header = source.slice(headerStart, pos).replace(/\s+/g, ' ').trim();
+      const type = TYPE_HEADER.exec(header);
+
+      if (type && !inEnum) {
+        const kind = type[1].startsWith('mixin class') ? 'class' : type[1].replace(/\s+/g, ' ');
+        const declaration = add({ kind, name: typeName(kind, header), parent, docs, start });
+        if (cut === '=' || cut === ';') {
+          // Class alias such as `class A = B with C;`
+          skipToEnd(false);
+        } else {
+          // Skip an extension type's representation to reach the body
+          while (pos < source.length && source[pos] !== '{' && source[pos] !== ';') {
+            const token = tokenAt.get(pos);
+            if (token) pos = token.end;
+            else if (source[pos] === '(') skipGroup();
+            else pos++;
+          }
+          pos++;
+          if (source[pos - 1] === '{') body(declaration, kind === 'enum');
+        }
+        declaration.end = pos;
+        continue;
+      }
+
+      if (header === '') {
+        // Stray separator, such as the `;` ending an enum's values
+        if (cut === ';') inEnum = false;
+        if (cut !== '}' && cut !== null) pos++;
+        continue;
+      }
+
+      let kind;
+      let name;
+      if (/^library\b/.test(header)) {
+        kind = 'library';
+        name = header;
+      } else if (/^(import|export|part)\b/.test(header)) {
+        kind = 'directive';
+        name = null;
+      } else if (inEnum) {
+        kind = 'enum value';
+        name = memberName(header);
+      } else {
+        kind = memberKind(header, cut, parent);
+        name = memberName(header);
+      }
+      const declaration = add({ kind, name, parent, docs, start });
+      const end = skipToEnd(inEnum);
+      if (end === ';') inEnum = false;
+      declaration.end = pos;
+      if (pos === start) pos++;
+    }
+  }
+
+  body(null, false);
+  return declarations;
+}
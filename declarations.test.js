@@ -0,0 +1,104 @@
+import { parseDeclarations } from './declarations.js';
+
+describe('Declaration outline', () => {
+  function outline(source) {
+    return parseDeclarations(source).map(declaration => ({
+      kind: declaration.kind,
+      name: declaration.name,
+      parent: declaration.parent?.name ?? null,
+      public: declaration.public,
+      docs: declaration.docs.map(doc => doc.text)
+    }));
+  }
+
+  test('should outline classes and their members', () => {
+    const source = `/// A point.
+@immutable
+class Point<T extends num> extends Base<Map<String, int>> {
+  /// The x coordinate.
+  final T x, y;
+  const Point(this.x, this.y) : super();
+  Point._origin() : x = 0, y = 0 { init(); }
+  @override
+  Future<void> move({int by = 1}) async { final seen = {1: 2}; }
+  T get sum => {1: 2}[1]!;
+  bool operator ==(Object other) => true;
+  void Function(int) listener;
+  static const _tag = 'a;{';
+}`;
+    expect(outline(source)).toEqual([
+      { kind: 'class', name: 'Point', parent: null, public: true, docs: ['/// A point.'] },
+      { kind: 'field', name: 'x', parent: 'Point', public: true, docs: ['/// The x coordinate.'] },
+      { kind: 'constructor', name: 'Point', parent: 'Point', public: true, docs: [] },
+      { kind: 'constructor', name: '_origin', parent: 'Point', public: false, docs: [] },
+      { kind: 'method', name: 'move', parent: 'Point', public: true, docs: [] },
+      { kind: 'getter', name: 'sum', parent: 'Point', public: true, docs: [] },
+      { kind: 'method', name: 'operator ==', parent: 'Point', public: true, docs: [] },
+      { kind: 'field', name: 'listener', parent: 'Point', public: true, docs: [] },
+      { kind: 'field', name: '_tag', parent: 'Point', public: false, docs: [] }
+    ]);
+  });
+
+  test('should outline enums, extensions, typedefs and top-level members', () => {
+    const source = `library shapes;
+import 'a.dart';
+enum Color { red, green(1), blue; final int v; const Color([this.v = 0]); }
+extension on String { void shout() {} }
+extension type const Id(int value) { int get twice => value * 2; }
+typedef Json = Map<String, dynamic>;
+class Alias = Object with Mixin;
+final make = () { return 1; };
+int _hidden() => 1;`;
+    expect(outline(source).map(declaration => [declaration.kind, declaration.name, declaration.public])).toEqual([
+      ['library', 'library shapes', true],
+      ['directive', null, false],
+      ['enum', 'Color', true],
+      ['enum value', 'red', true],
+      ['enum value', 'green', true],
+      ['enum value', 'blue', true],
+      ['field', 'v', true],
+      ['constructor', 'Color', true],
+      ['extension', null, false],
+      ['method', 'shout', false],
+      ['extension type', 'Id', true],
+      ['getter', 'twice', true],
+      ['typedef', 'Json', true],
+      ['class', 'Alias', true],
+      ['variable', 'make', true],
+      ['function', '_hidden', false]
+    ]);
+  });
+
+  test('should read past record types', () => {
+    const source = `/// A pair.
+(int, String) pair() => (1, 'a');
+class Box {
+  /// The sides.
+  static ((int, int), String) sides() => ((1, 2), 'b');
+  /// The size.
+  final (int, {int height}) size = (1, height: 2);
+  void Function(int, String) listener;
+}`;
+    expect(outline(source)).toEqual([
+      { kind: 'function', name: 'pair', parent: null, public: true, docs: ['/// A pair.'] },
+      { kind: 'class', name: 'Box', parent: null, public: true, docs: [] },
+      { kind: 'method', name: 'sides', parent: 'Box', public: true, docs: ['/// The sides.'] },
+      { kind: 'field', name: 'size', parent: 'Box', public: true, docs: ['/// The size.'] },
+      { kind: 'field', name: 'listener', parent: 'Box', public: true, docs: [] }
+    ]);
+  });
+
+  test('should not attach doc comments inside function bodies', () => {
+    const [main] = parseDeclarations('void main() {\n  /// Local\n  var x = 1;\n}');
+    expect(main).toMatchObject({ kind: 'function', name: 'main', docs: [], line: 1 });
+  });
+
+  test('should record where each declaration starts and ends', () => {
+    const source = 'class A {\n  void f() {}\n}\nint b = 1;';
+    const [a, f, b] = parseDeclarations(source);
+    expect(source.slice(a.start, a.end)).toBe('class A {\n  void f() {}\n}');
+    expect(source.slice(f.start, f.end)).toBe('void f() {}');
+    expect(source.slice(b.start, b.end)).toBe('int b = 1;');
+    expect(b.line).toBe(4);
+  });
+});
@@ -0,0 +1,22 @@
+// Detection of files written by build_runner and similar code generators.
+
+export const GENERATED_SUFFIXES = ['.g.dart', '.freezed.dart', '.mocks.dart', '.gr.dart', '.config.dart'];
+
+// How generated files are handled: left alone, stripped like any other file,
+// or stripped while keeping their header comments and analyzer directives.
+export const GENERATED_POLICIES = ['skip', 'strip', 'keep-header'];
+
+// The marker may follow other leading comments, such as
+// `// coverage:ignore-file` in freezed output.
+const GENERATED_HEADER = /^\uFEFF?(?:[ \t]*(?:\/\/[^\r\n]*)?(?:\r\n|\r|\n))*?[ \t]*\/\/\s*GENERATED CODE\s*-\s*DO NOT MODIFY BY HAND/;
+
+export function isGeneratedFile(file, source) {
+  return GENERATED_SUFFIXES.some(suffix => file.endsWith(suffix)) || GENERATED_HEADER.test(source);
+}
+
+export function checkGeneratedPolicy(policy) {
+  if (!GENERATED_POLICIES.includes(policy)) {
+    throw new Error(`Unknown generated code policy: ${policy} (expected ${GENERATED_POLICIES.join(', ')})`);
+  }
+  return policy;
+}
@@ -0,0 +1,21 @@
+import { isGeneratedFile, checkGeneratedPolicy } from './generated.js';
+
+describe('Generated files', () => {
+  test('should recognise build_runner outputs by name', () => {
+    for (const file of ['user.g.dart', 'user.freezed.dart', 'api.mocks.dart', 'app.gr.dart', 'injection.config.dart']) {
+      expect(isGeneratedFile(`lib/${file}`, 'void main() {}')).toBe(true);
+    }
+    expect(isGeneratedFile('lib/config.dart', 'void main() {}')).toBe(false);
+  });
+
+  test('should recognise the generated code marker after other leading comments', () => {
+    expect(isGeneratedFile('lib/a.dart', '// GENERATED CODE - DO NOT MODIFY BY HAND\n')).toBe(true);
+    expect(isGeneratedFile('lib/a.dart', '// coverage:ignore-file\n\n// GENERATED CODE - DO NOT MODIFY BY HAND\n')).toBe(true);
+    expect(isGeneratedFile('lib/a.dart', 'void main() {}\n// GENERATED CODE - DO NOT MODIFY BY HAND\n')).toBe(false);
+  });
+
+  test('should reject unknown policies', () => {
+    expect(checkGeneratedPolicy('keep-header')).toBe('keep-header');
+    expect(() => checkGeneratedPolicy('keep')).toThrow('Unknown generated code policy: keep');
+  });
+});
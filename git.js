@@ -0,0 +1,109 @@
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+async function git(cwd, args) {
+  try {
+    const { stdout } = await execFileAsync('git', ['-c', 'core.quotepath=off', ...args], {
+      cwd,
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return stdout;
+  } catch (error) {
+    const message = (error.stderr || error.message).trim();
+    throw new Error(`git ${args[0]} failed: ${message}`);
+  }
+}
+
+// Returns the top-level folder of the repository containing `cwd`.
+export async function gitRoot(cwd) {
+  return (await git(cwd, ['rev-parse', '--show-toplevel'])).trim();
+}
+
+// Resolves a path inside the git directory, such as `hooks`, taking
+// core.hooksPath and linked worktrees into account.
+export async function gitPath(cwd, name) {
+  return path.resolve(cwd, (await git(cwd, ['rev-parse', '--git-path', name])).trim());
+}
+
+const ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+// Reads a path the way git prints it in a diff header: followed by a tab when
+// it contains a space, and C-quoted, octal escapes for raw bytes included,
+// when it contains a quote, backslash or control character.
+function diffHeaderPath(text) {
+  const raw = text.replace(/\t$/, '');
+  if (!raw.startsWith('"') || !raw.endsWith('"')) return raw;
+
+  const bytes = [];
+  for (let i = 1; i < raw.length - 1; i++) {
+    if (raw[i] !== '\\') {
+      bytes.push(...Buffer.from(raw[i]));
+    } else if (/[0-7]{3}/.test(raw.slice(i + 1, i + 4))) {
+      bytes.push(parseInt(raw.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(ESCAPES[raw[++i]] ?? raw.charCodeAt(i));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// Parses `git diff --unified=0` output into a map from each file, relative to
+// the directory git ran in, to the set of its added or changed line numbers.
+export function parseChangedLines(diff) {
+  const changes = new Map();
+  let lines = null;
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = diffHeaderPath(line.slice(4));
+      lines = target === '/dev/null' ? null : new Set();
+      if (lines) changes.set(target.replace(/^b\//, '').split('/').join(path.sep), lines);
+      continue;
+    }
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (hunk && lines) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      for (let number = start; number < start + count; number++) lines.add(number);
+    }
+  }
+  return changes;
+}
+
+// Returns the files of the project changed in the index (`staged`) or between
+// `since` and HEAD, mapped to their changed line numbers. Deleted files are
+// left out.
+export async function changedLines(flutterProjectPath, { staged = false, since } = {}) {
+  const range = staged ? ['--cached'] : [`${since}...HEAD`];
+  const diff = await git(flutterProjectPath, [
+    'diff',
+    ...range,
+    '--unified=0',
+    '--no-color',
+    '--no-ext-diff',
+    '--relative',
+    '--diff-filter=ACMR',
+    '--src-prefix=a/',
+    '--dst-prefix=b/',
+    '--',
+    '.'
+  ]);
+  return parseChangedLines(diff);
+}
+
+// Refuses to go on when the project has uncommitted changes that stripping
+// would mix with its own. In staged mode only unstaged changes count, since
+// the staged ones are what is being stripped.
+export async function assertCleanTree(flutterProjectPath, { staged = false } = {}) {
+  const dirty = staged
+    ? await git(flutterProjectPath, ['diff', '--name-only', '--relative', '--', '.'])
+    : await git(flutterProjectPath, ['status', '--porcelain', '--untracked-files=no', '--', '.']);
+  if (dirty.trim() !== '') {
+    throw new Error(
+      `Working tree has ${staged ? 'unstaged' : 'uncommitted'} changes; commit or stash them, or use --force`
+    );
+  }
+}
@@ -0,0 +1,102 @@
+import { parseChangedLines, changedLines, assertCleanTree } from './git.js';
+import { execFileSync } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+describe('Git changes', () => {
+  let tmpDir;
+
+  function git(...args) {
+    return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+      cwd: tmpDir.path,
+      encoding: 'utf8'
+    });
+  }
+
+  beforeEach(async () => {
+    tmpDir = await dir({ unsafeCleanup: true });
+    git('init', '-q');
+    await fs.outputFile(path.join(tmpDir.path, 'lib', 'main.dart'), 'void a() {}\nvoid b() {}\n');
+    git('add', '.');
+    git('commit', '-qm', 'initial');
+  });
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await tmpDir.cleanup();
+    }
+  });
+
+  test('should parse the changed lines of a zero-context diff', () => {
+    const diff = `diff --git a/lib/a.dart b/lib/a.dart
+--- a/lib/a.dart
++++ b/lib/a.dart
+@@ -2 +2 @@ void a() {}
+-old
++new
+@@ -5,0 +6,2 @@
++one
++two
+@@ -9,2 +10,0 @@
+-gone
+-gone
+diff --git a/lib/b.dart b/lib/b.dart
+--- a/lib/b.dart
++++ /dev/null
+@@ -1 +0,0 @@
+-deleted`;
+    expect(parseChangedLines(diff)).toEqual(new Map([[path.join('lib', 'a.dart'), new Set([2, 6, 7])]]));
+  });
+
+  test('should read file names with spaces, quotes and escapes', () => {
+    const diff = `+++ b/lib/my file.dart\t
+@@ -0,0 +1 @@
++new
++++ "b/lib/say \\"hi\\".dart"
+@@ -1 +1 @@
++new
++++ "b/lib/caf\\303\\251\\tx.dart"
+@@ -3 +3 @@
++new`;
+    expect(parseChangedLines(diff)).toEqual(new Map([
+      [path.join('lib', 'my file.dart'), new Set([1])],
+      [path.join('lib', 'say "hi".dart'), new Set([1])],
+      [path.join('lib', 'café\tx.dart'), new Set([3])]
+    ]));
+  });
+
+  test('should list staged files and files changed since a ref', async () => {
+    await fs.writeFile(path.join(tmpDir.path, 'lib', 'main.dart'), 'void a() {}\n// new\nvoid b() {}\n');
+    await fs.outputFile(path.join(tmpDir.path, 'lib', 'other.dart'), 'void c() {}\n');
+    git('add', 'lib/main.dart');
+    expect(await changedLines(tmpDir.path, { staged: true })).toEqual(new Map([[path.join('lib', 'main.dart'), new Set([2])]]));
+
+    git('add', '.');
+    git('commit', '-qm', 'second');
+    const changes = await changedLines(path.join(tmpDir.path, 'lib'), { since: 'HEAD~1' });
+    expect([...changes.keys()]).toEqual(['main.dart', 'other.dart']);
+  });
+
+  test('should list staged files whose names contain a space', async () => {
+    await fs.outputFile(path.join(tmpDir.path, 'lib', 'my file.dart'), '// new\nvoid c() {}\n');
+    await fs.outputFile(path.join(tmpDir.path, 'lib', 'b.dart'), 'void b() {}\n');
+    git('add', '.');
+    const changes = await changedLines(tmpDir.path, { staged: true });
+    expect([...changes.keys()].sort()).toEqual([path.join('lib', 'b.dart'), path.join('lib', 'my file.dart')]);
+    expect(changes.get(path.join('lib', 'my file.dart'))).toEqual(new Set([1, 2]));
+  });
+
+  test('should refuse a dirty tree', async () => {
+    await assertCleanTree(tmpDir.path);
+    await fs.writeFile(path.join(tmpDir.path, 'lib', 'main.dart'), '// dirty\n');
+    await expect(assertCleanTree(tmpDir.path)).rejects.toThrow('Working tree has uncommitted changes');
+    git('add', '.');
+    await assertCleanTree(tmpDir.path, { staged: true });
+    await expect(assertCleanTree(tmpDir.path)).rejects.toThrow('uncommitted changes');
+  });
+
+  test('should report git failures', async () => {
+    await expect(changedLines(tmpDir.path, { since: 'no-such-ref' })).rejects.toThrow('git diff failed');
+  });
+});
@@ -0,0 +1,134 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseDocument } from 'yaml';
+import { gitRoot, gitPath } from './git.js';
+
+export const HOOK_MODES = ['strip', 'check'];
+
+const HOOK_ID = 'racfp';
+const BEGIN_MARKER = '# >>> racfp pre-commit hook >>>';
+const END_MARKER = '# <<< racfp pre-commit hook <<<';
+
+const TOOL_PATH = fileURLToPath(new URL('./index.js', import.meta.url));
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// The command run on commit. Hooks run from the repository root, so the
+// project is given relative to it. Git already holds the staged originals,
+// so the strip run leaves no backups or cache behind in the project.
+function toolCommand(mode, projectDir) {
+  const args = mode === 'check' ? ['check', '--staged'] : ['--staged', '--no-backup', '--no-cache'];
+  return ['node', TOOL_PATH, ...args, projectDir].map(shellQuote).join(' ');
+}
+
+// Shell lines for git and husky hooks. In strip mode the stripped files are
+// staged again so the commit picks them up; only those of the project, as
+// other files may have changes the developer left unstaged on purpose.
+function hookBlock(mode, projectDir) {
+  const lines = [BEGIN_MARKER, `${toolCommand(mode, projectDir)} || exit 1`];
+  if (mode === 'strip') {
+    const pathspec = `:(glob)${projectDir === '.' ? '' : `${projectDir.split(path.sep).join('/')}/`}**/*.dart`;
+    lines.push(`git diff --cached --name-only --diff-filter=ACMR -z -- ${shellQuote(pathspec)} | xargs -0 git add --`);
+  }
+  lines.push(END_MARKER);
+  return lines.join('\n');
+}
+
+// Replaces an earlier racfp block in `script`, or appends one.
+function withHookBlock(script, block) {
+  const start = script.indexOf(BEGIN_MARKER);
+  const end = script.indexOf(END_MARKER);
+  if (start !== -1 && end > start) {
+    return script.slice(0, start) + block + script.slice(end + END_MARKER.length);
+  }
+  return `${script.replace(/\n*$/, '')}\n\n${block}\n`;
+}
+
+// pre-commit stashes unstaged changes and fails a hook that modifies files,
+// so stripped files are left for the developer to review and add.
+async function installPreCommitFramework(configPath, mode, projectDir) {
+  const document = parseDocument(await fs.readFile(configPath, 'utf8'));
+  if (document.errors.length > 0) {
+    throw new Error(`Invalid YAML in ${configPath}: ${document.errors[0].message}`);
+  }
+  if (!document.has('repos')) document.set('repos', document.createNode([]));
+
+  const repos = document.get('repos');
+  // Drop an earlier racfp entry so reinstalling picks up the new mode
+  for (const repo of repos.items) {
+    const hooks = repo.get?.('hooks');
+    if (!hooks?.items) continue;
+    hooks.items = hooks.items.filter(hook => hook.get?.('id') !== HOOK_ID);
+  }
+  repos.items = repos.items.filter(repo => repo.get?.('repo') !== 'local' || repo.get('hooks')?.items?.length > 0);
+
+  repos.add(document.createNode({
+    repo: 'local',
+    hooks: [{
+      id: HOOK_ID,
+      name: mode === 'check' ? 'Check Dart files for comments' : 'Remove comments from Dart files',
+      entry: toolCommand(mode, projectDir),
+      language: 'system',
+      files: '\\.dart$',
+      pass_filenames: false
+    }]
+  }));
+  await fs.writeFile(configPath, document.toString());
+}
+
+async function installScript(hookPath, mode, projectDir, force) {
+  let script = '#!/bin/sh\n';
+  if (await fs.pathExists(hookPath)) {
+    const existing = await fs.readFile(hookPath, 'utf8');
+    if (existing.includes(BEGIN_MARKER)) script = existing;
+    else if (!force) throw new Error(`A pre-commit hook already exists at ${hookPath}; use --force to replace it`);
+  }
+  await fs.outputFile(hookPath, withHookBlock(script, hookBlock(mode, projectDir)));
+  await fs.chmod(hookPath, 0o755);
+}
+
+async function installHuskyScript(hookPath, mode, projectDir) {
+  const existing = (await fs.pathExists(hookPath)) ? await fs.readFile(hookPath, 'utf8') : '';
+  await fs.outputFile(hookPath, withHookBlock(existing, hookBlock(mode, projectDir)).replace(/^\n+/, ''));
+  await fs.chmod(hookPath, 0o755);
+}
+
+// Sets up a pre-commit hook running the tool on the staged Dart files of the
+// project, in `strip` mode (re-staging the results) or `check` mode. An
+// existing .pre-commit-config.yaml or husky setup gets an entry; otherwise a
+// git hook is written, replacing a foreign one only with `force`. Returns
+// `{ kind, file }` with the kind of hook and the file written.
+export async function installHook(flutterProjectPath, options = {}) {
+  const { mode = 'strip', force = false } = options;
+  if (!HOOK_MODES.includes(mode)) {
+    throw new Error(`Unknown hook mode: ${mode} (expected ${HOOK_MODES.join(' or ')})`);
+  }
+
+  const root = await gitRoot(flutterProjectPath);
+  const projectDir = path.relative(await fs.realpath(root), await fs.realpath(flutterProjectPath)) || '.';
+
+  const preCommitConfig = path.join(root, '.pre-commit-config.yaml');
+  if (await fs.pathExists(preCommitConfig)) {
+    await installPreCommitFramework(preCommitConfig, mode, projectDir);
+    return { kind: 'pre-commit', file: preCommitConfig };
+  }
+
+  const huskyDir = path.join(root, '.husky');
+  if (await fs.pathExists(huskyDir)) {
+    const hookPath = path.join(huskyDir, 'pre-commit');
+    await installHuskyScript(hookPath, mode, projectDir);
+    return { kind: 'husky', file: hookPath };
+  }
+
+  // core.hooksPath=/dev/null is a common way of turning hooks off
+  const hooksDir = await gitPath(flutterProjectPath, 'hooks');
+  if ((await fs.pathExists(hooksDir)) && !(await fs.stat(hooksDir)).isDirectory()) {
+    throw new Error(`Git hooks are disabled: the hooks path ${hooksDir} is not a folder`);
+  }
+  const hookPath = path.join(hooksDir, 'pre-commit');
+  await installScript(hookPath, mode, projectDir, force);
+  return { kind: 'git', file: hookPath };
+}
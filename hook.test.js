@@ -0,0 +1,122 @@
+import { installHook } from './hook.js';
+import { execFileSync } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+describe('Pre-commit hook', () => {
+  let tmpDir;
+
+  // Environments that turn git hooks off, e.g. with core.hooksPath=/dev/null
+  // in GIT_CONFIG_*, can't run the tests that need a git hook
+  const hooksDisabled = (() => {
+    try {
+      return execFileSync('git', ['config', 'core.hooksPath'], { encoding: 'utf8' }).trim() === '/dev/null';
+    } catch {
+      return false;
+    }
+  })();
+  const hookTest = hooksDisabled ? test.skip : test;
+
+  function git(...args) {
+    return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+      cwd: tmpDir.path,
+      encoding: 'utf8'
+    });
+  }
+
+  beforeEach(async () => {
+    tmpDir = await dir({ unsafeCleanup: true });
+    git('init', '-q');
+    await fs.outputFile(path.join(tmpDir.path, 'app', 'lib', 'main.dart'), 'void main() {}\n');
+  });
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await tmpDir.cleanup();
+    }
+  });
+
+  hookTest('should write an executable git hook and update it in place', async () => {
+    const { kind, file } = await installHook(path.join(tmpDir.path, 'app'));
+    expect(kind).toBe('git');
+    expect(file).toBe(path.join(tmpDir.path, '.git', 'hooks', 'pre-commit'));
+    expect((await fs.stat(file)).mode & 0o111).not.toBe(0);
+    const script = await fs.readFile(file, 'utf8');
+    expect(script).toMatch(/^#!\/bin\/sh\n/);
+    expect(script).toContain("'--staged' '--no-backup' '--no-cache' 'app' || exit 1");
+    expect(script).toContain('xargs -0 git add --');
+
+    await installHook(path.join(tmpDir.path, 'app'), { mode: 'check' });
+    const updated = await fs.readFile(file, 'utf8');
+    expect(updated).toContain("'check' '--staged' 'app'");
+    expect(updated).not.toContain('git add');
+    expect(updated.match(/racfp pre-commit hook >>>/g)).toHaveLength(1);
+  });
+
+  hookTest('should not replace a foreign git hook without force', async () => {
+    const hookPath = path.join(tmpDir.path, '.git', 'hooks', 'pre-commit');
+    await fs.outputFile(hookPath, '#!/bin/sh\nexit 0\n');
+    await expect(installHook(tmpDir.path)).rejects.toThrow('A pre-commit hook already exists');
+    await installHook(tmpDir.path, { force: true });
+    expect(await fs.readFile(hookPath, 'utf8')).not.toContain('exit 0');
+  });
+
+  test('should add an entry to .pre-commit-config.yaml', async () => {
+    const configPath = path.join(tmpDir.path, '.pre-commit-config.yaml');
+    await fs.writeFile(configPath, '# Hooks\nrepos:\n  - repo: https://github.com/pre-commit/pre-commit-hooks\n    rev: v4.0.0\n    hooks:\n      - id: trailing-whitespace\n');
+    expect(await installHook(tmpDir.path)).toEqual({ kind: 'pre-commit', file: configPath });
+    await installHook(tmpDir.path, { mode: 'check' });
+
+    const config = await fs.readFile(configPath, 'utf8');
+    expect(config).toContain('# Hooks');
+    expect(config).toContain('id: trailing-whitespace');
+    expect(config.match(/id: racfp/g)).toHaveLength(1);
+    expect(config).toContain("'check' '--staged' '.'");
+  });
+
+  test('should append to a husky pre-commit script', async () => {
+    await fs.outputFile(path.join(tmpDir.path, '.husky', 'pre-commit'), 'npm test\n');
+    const { kind, file } = await installHook(tmpDir.path);
+    expect(kind).toBe('husky');
+    const script = await fs.readFile(file, 'utf8');
+    expect(script).toMatch(/^npm test\n\n# >>> racfp pre-commit hook >>>/);
+  });
+
+  hookTest('should strip and re-stage the committed Dart files', async () => {
+    await installHook(path.join(tmpDir.path, 'app'));
+    await fs.writeFile(path.join(tmpDir.path, 'app', 'lib', 'main.dart'), '// Entry point\nvoid main() {}\n');
+    git('add', '.');
+    git('commit', '-qm', 'add app');
+    expect(git('show', 'HEAD:app/lib/main.dart')).toBe('void main() {}\n');
+    expect(git('status', '--porcelain', '--untracked-files=all')).toBe('');
+  });
+
+  hookTest('should only re-stage the files of the project', async () => {
+    const otherPath = path.join(tmpDir.path, 'other', 'x.dart');
+    await fs.outputFile(otherPath, 'void a() {}\nvoid b() {}\n');
+    git('add', '.');
+    git('commit', '-qm', 'initial');
+    await installHook(path.join(tmpDir.path, 'app'));
+
+    await fs.writeFile(otherPath, 'void a2() {}\nvoid b() {}\n');
+    git('add', 'other/x.dart');
+    await fs.writeFile(otherPath, 'void a2() {}\nvoid b2() {}\n');
+    await fs.writeFile(path.join(tmpDir.path, 'app', 'lib', 'main.dart'), '// Entry point\nvoid main() {}\n');
+    git('add', 'app');
+    git('commit', '-qm', 'change');
+
+    expect(git('show', 'HEAD:other/x.dart')).toBe('void a2() {}\nvoid b() {}\n');
+    expect(git('show', 'HEAD:app/lib/main.dart')).toBe('void main() {}\n');
+    expect(git('diff', '--name-only')).toBe('other/x.dart\n');
+  });
+
+  test('should refuse to install into disabled git hooks', async () => {
+    git('config', 'core.hooksPath', '/dev/null');
+    await expect(installHook(tmpDir.path)).rejects.toThrow('Git hooks are disabled');
+  });
+
+  test('should reject unknown modes', async () => {
+    await expect(installHook(tmpDir.path, { mode: 'fix' })).rejects.toThrow('Unknown hook mode: fix');
+  });
+});
@@ -0,0 +1,71 @@
+import { glob } from 'glob';
+import fs from 'fs-extra';
+import path from 'path';
+import ignore from 'ignore';
+import { minimatch } from 'minimatch';
+import { parse } from 'yaml';
+import { toPosix } from './util.js';
+
+// Reads every .gitignore in the project, nested ones included, and returns a
+// function telling whether a project-relative file is ignored. As in git, the
+// rules of a nested .gitignore are relative to its folder and take precedence
+// over those of its parents. Folders matching `skip` are not searched.
+export async function loadGitignore(flutterProjectPath, skip = []) {
+  const files = await glob('**/.gitignore', {
+    cwd: flutterProjectPath,
+    dot: true,
+    ignore: ['**/.git/**', ...skip]
+  });
+
+  const rules = [];
+  for (const file of files) {
+    const base = toPosix(path.dirname(file));
+    const content = await fs.readFile(path.join(flutterProjectPath, file), 'utf8');
+    rules.push({ base: base === '.' ? '' : base, matcher: ignore().add(content) });
+  }
+  rules.sort((a, b) => a.base.split('/').length - b.base.split('/').length || a.base.localeCompare(b.base));
+
+  return file => {
+    const relative = toPosix(file);
+    let ignored = false;
+    for (const { base, matcher } of rules) {
+      if (base && !relative.startsWith(`${base}/`)) continue;
+      const result = matcher.test(base ? relative.slice(base.length + 1) : relative);
+      if (result.ignored) ignored = true;
+      else if (result.unignored) ignored = false;
+    }
+    return ignored;
+  };
+}
+
+// Returns the `analyzer: exclude:` globs of the project's
+// analysis_options.yaml, or an empty list when there are none.
+export async function readAnalyzerExcludes(flutterProjectPath) {
+  const optionsPath = path.join(flutterProjectPath, 'analysis_options.yaml');
+  if (!(await fs.pathExists(optionsPath))) return [];
+
+  let options;
+  try {
+    options = parse(await fs.readFile(optionsPath, 'utf8'));
+  } catch (error) {
+    console.warn(`Ignoring analysis_options.yaml: ${error.message}`);
+    return [];
+  }
+  const excludes = options?.analyzer?.exclude;
+  return Array.isArray(excludes) ? excludes.filter(exclude => typeof exclude === 'string') : [];
+}
+
+// Builds the test telling whether a single project-relative file is to be
+// stripped: it matches `include`, none of `exclude` or the analyzer excludes,
+// and git doesn't ignore it. This is what findDartFiles does for a whole
+// project, for callers that only get to see one file at a time.
+export async function createFileFilter(flutterProjectPath, include, exclude) {
+  const skipped = [...exclude, ...(await readAnalyzerExcludes(flutterProjectPath))];
+  const isGitignored = await loadGitignore(flutterProjectPath, exclude);
+  return file => {
+    const relative = toPosix(file);
+    return include.some(pattern => minimatch(relative, pattern)) &&
+      !skipped.some(pattern => minimatch(relative, pattern)) &&
+      !isGitignored(file);
+  };
+}
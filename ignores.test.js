@@ -0,0 +1,45 @@
+import { loadGitignore, readAnalyzerExcludes } from './ignores.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+describe('Ignore files', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await dir({ unsafeCleanup: true });
+  });
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await tmpDir.cleanup();
+    }
+  });
+
+  test('should ignore nothing without a .gitignore', async () => {
+    const isIgnored = await loadGitignore(tmpDir.path);
+    expect(isIgnored(path.join('lib', 'main.dart'))).toBe(false);
+  });
+
+  test('should apply nested .gitignore files relative to their folder', async () => {
+    await fs.writeFile(path.join(tmpDir.path, '.gitignore'), '.dart_tool/\n*.g.dart\n');
+    await fs.outputFile(path.join(tmpDir.path, 'lib', '.gitignore'), 'vendor/\n!keep.g.dart\n');
+
+    const isIgnored = await loadGitignore(tmpDir.path);
+    expect(isIgnored(path.join('.dart_tool', 'build', 'entry.dart'))).toBe(true);
+    expect(isIgnored(path.join('lib', 'model.g.dart'))).toBe(true);
+    expect(isIgnored(path.join('lib', 'keep.g.dart'))).toBe(false);
+    expect(isIgnored(path.join('lib', 'vendor', 'code.dart'))).toBe(true);
+    expect(isIgnored(path.join('vendor', 'code.dart'))).toBe(false);
+    expect(isIgnored(path.join('lib', 'main.dart'))).toBe(false);
+  });
+
+  test('should read the analyzer excludes of analysis_options.yaml', async () => {
+    expect(await readAnalyzerExcludes(tmpDir.path)).toEqual([]);
+    await fs.writeFile(
+      path.join(tmpDir.path, 'analysis_options.yaml'),
+      'include: package:flutter_lints/flutter.yaml\nanalyzer:\n  exclude:\n    - lib/generated/**\n    - "**/*.freezed.dart"\n'
+    );
+    expect(await readAnalyzerExcludes(tmpDir.path)).toEqual(['lib/generated/**', '**/*.freezed.dart']);
+  });
+});
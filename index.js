@@ -2,271 +2,491 @@ import { glob } from 'glob';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createPatch } from 'diff';
+import { stripDartComments } from './strip.js';
+import { createBackup } from './backup.js';
+import { writeFileAtomic, createTransaction } from './write.js';
+import { resolveOptions, CONFIG_FILE } from './config.js';
+import { loadGitignore, readAnalyzerExcludes, createFileFilter } from './ignores.js';
+import { checkGeneratedPolicy, isGeneratedFile } from './generated.js';
+import { changedLines, assertCleanTree } from './git.js';
+import { resolveConcurrency, createStripPool, forEachLimit } from './pool.js';
+import { loadCache } from './cache.js';
+import { measureSource, summarizeStats } from './stats.js';
+import { findTodos } from './todos.js';
+import { describeRemovedComments, saveSidecar, removeSidecar } from './sidecar.js';
+import { toPosix } from './util.js';
 
-export async function removeComments(flutterProjectPath) {
-  try {
-    // Validate input path
-    if (!flutterProjectPath) {
-      throw new Error('Flutter project path is required');
+export { stripDartComments };
+
+function describeComment({ line, column, kind, text, reason }) {
+  return reason ? { line, column, kind, text, reason } : { line, column, kind, text };
+}
+
+async function validateProjectPath(flutterProjectPath) {
+  if (!flutterProjectPath) {
+    throw new Error('Flutter project path is required');
+  }
+
+  const stats = await fs.stat(flutterProjectPath);
+  if (!stats.isDirectory()) {
+    throw new Error('Provided path is not a directory');
+  }
+}
+
+// Finds the Dart files matching `include` but none of `exclude`, relative to
+// the project root. Files ignored by the project's .gitignore files or
+// excluded from analysis in analysis_options.yaml are left out as well.
+async function findDartFiles(flutterProjectPath, include, exclude) {
+  const isGitignored = await loadGitignore(flutterProjectPath, exclude);
+  const matches = await glob(include, {
+    cwd: flutterProjectPath,
+    nodir: true,
+    ignore: [...exclude, ...(await readAnalyzerExcludes(flutterProjectPath))]
+  });
+  const files = matches.filter(file => !isGitignored(file));
+
+  if (files.length === 0) {
+    console.warn('No Dart files found in the specified directory');
+  }
+  return files.sort();
+}
+
+// Finds the Dart files to process. With `staged` or `since` they are narrowed
+// to those git reports as changed; `changes` then maps each of them to its
+// changed lines when only those should be stripped.
+async function selectFiles(flutterProjectPath, include, exclude, { staged, since, linesOnly }) {
+  if (staged && since) {
+    throw new Error('Use either staged or since, not both');
+  }
+  if (linesOnly && !staged && !since) {
+    throw new Error('linesOnly needs staged or since');
+  }
+
+  const files = await findDartFiles(flutterProjectPath, include, exclude);
+  if (!staged && !since) return { files, changes: null };
+
+  const changed = await changedLines(flutterProjectPath, { staged, since });
+  return {
+    files: files.filter(file => changed.has(file)),
+    changes: linesOnly ? changed : null
+  };
+}
+
+// Returns the glob ignoring `outDir` when it lies inside the project, so the
+// copy is never read back as part of the source.
+function outDirIgnore(flutterProjectPath, outDir) {
+  const relative = path.relative(path.resolve(flutterProjectPath), path.resolve(outDir));
+  if (!isInside(relative)) return [];
+  return [`${relative.split(path.sep).join('/')}/**`];
+}
+
+function isInside(relative) {
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Folders never copied: git's own, and the tool's backups and caches
+const NOT_MIRRORED = ['**/.git', '**/.git/**', '.racfp', '.racfp/**'];
+
+// Lists, in the output directory, what the last run copied there
+export const MIRROR_MANIFEST = '.racfp-mirror.json';
+
+async function readMirrorManifest(manifestPath) {
+  if (!(await fs.pathExists(manifestPath))) return { files: [], directories: [] };
+  const { files = [], directories = [] } = await fs.readJson(manifestPath);
+  return { files, directories };
+}
+
+// Makes `outDir` a copy of every file and folder of the project, assets and
+// normally ignored folders included, except `outDir` itself. Files an
+// earlier run copied there and that are no longer in the project are
+// removed, as are the folders they leave empty, so a file deleted from the
+// sources doesn't linger in the copy. Anything else in `outDir` is left
+// alone: only what MIRROR_MANIFEST lists is ever removed.
+async function mirrorProject(flutterProjectPath, outDir) {
+  const source = path.resolve(flutterProjectPath);
+  const target = path.resolve(outDir);
+  if (source === target || isInside(path.relative(target, source))) {
+    throw new Error('Output directory must not be the project directory or contain it');
+  }
+
+  const entries = await glob('**', {
+    cwd: source,
+    dot: true,
+    withFileTypes: true,
+    ignore: [...outDirIgnore(source, target), ...NOT_MIRRORED, MIRROR_MANIFEST]
+  });
+  const mirrored = { files: [], directories: [] };
+  for (const entry of entries) {
+    const relative = toPosix(entry.relative());
+    if (relative !== '') mirrored[entry.isDirectory() ? 'directories' : 'files'].push(relative);
+  }
+
+  const manifestPath = path.join(target, MIRROR_MANIFEST);
+  const previous = await readMirrorManifest(manifestPath);
+  const files = new Set(mirrored.files);
+  const directories = new Set(mirrored.directories);
+  const inTarget = relative => {
+    const fullPath = path.join(target, ...relative.split('/'));
+    return isInside(path.relative(target, fullPath)) ? fullPath : null;
+  };
+  for (const relative of previous.files) {
+    const fullPath = inTarget(relative);
+    if (fullPath && !files.has(relative)) await fs.remove(fullPath);
+  }
+  // Deepest first, so that a folder emptied of its folders goes too
+  for (const relative of [...previous.directories].sort().reverse()) {
+    const fullPath = inTarget(relative);
+    if (!fullPath || directories.has(relative)) continue;
+    if ((await fs.pathExists(fullPath)) && (await fs.readdir(fullPath)).length === 0) await fs.rmdir(fullPath);
+  }
+
+  await fs.ensureDir(target);
+  for (const relative of mirrored.directories) {
+    await fs.ensureDir(path.join(target, relative));
+  }
+  for (const relative of mirrored.files) {
+    await fs.copy(path.join(source, relative), path.join(target, relative));
+  }
+  await fs.writeJson(manifestPath, mirrored, { spaces: 2 });
+}
+
+// Strips one file and writes the result unless this is a dry run.
+async function processFile(flutterProjectPath, file, run) {
+  const { dryRun, outDir, store, transaction, cache, sidecar, generated, changes, strip, stripOptions } = run;
+  const cached = cache && (await cache.lookup(file));
+  if (cached) {
+    return {
+      file,
+      success: true,
+      removed: [],
+      kept: cached.kept,
+      skipped: true,
+      cached: true,
+      ...(cached.generated && { generated: true })
+    };
+  }
+
+  const filePath = path.join(flutterProjectPath, file);
+  const originalContent = await fs.readFile(filePath, 'utf8');
+  const lines = changes?.get(file);
+  const stripped = await strip(originalContent, { ...stripOptions, generated, lines, file });
+  if (stripped.generated && generated === 'skip') {
+    if (cache) await cache.record(file, originalContent, { kept: [], generated: true });
+    return { file, success: true, removed: [], kept: [], skipped: true, generated: true };
+  }
+
+  const content = stripped.code;
+  const removedComments = stripped.comments.filter(comment => comment.removed).map(describeComment);
+  const keptComments = stripped.comments.filter(comment => !comment.removed).map(describeComment);
+
+  const result = { file, success: true, removed: removedComments, kept: keptComments };
+  if (content === originalContent) result.skipped = true;
+
+  if (dryRun) {
+    const diff = result.skipped ? '' : createPatch(file, originalContent, content);
+    return { ...result, original: originalContent, stripped: content, diff };
+  }
+
+  // Only write if content has changed
+  if (!result.skipped) {
+    if (store) {
+      await store.save(file);
+      result.backup = store.runId;
+    }
+    const targetPath = outDir ? path.join(outDir, file) : filePath;
+    if (transaction) await transaction.write(targetPath, content);
+    else await writeFileAtomic(targetPath, content);
+    if (sidecar) {
+      // A copy is stripped afresh each time, sources in place only once
+      const entries = describeRemovedComments(originalContent, stripped.comments);
+      await saveSidecar(flutterProjectPath, file, entries, { merge: !outDir, transaction });
     }
+    console.log(`Processed: ${file}`);
+  } else if (sidecar && outDir) {
+    await removeSidecar(flutterProjectPath, file);
+  }
+  if (cache) await cache.record(file, content, { kept: keptComments });
+  return result;
+}
+
+// The project a file belongs to: the closest folder above it with a
+// pubspec.yaml or racfp.yaml, or else the file's own folder.
+async function findProjectRoot(filePath) {
+  const start = path.dirname(path.resolve(filePath));
+  for (let dir = start; ; dir = path.dirname(dir)) {
+    if ((await fs.pathExists(path.join(dir, 'pubspec.yaml'))) || (await fs.pathExists(path.join(dir, CONFIG_FILE)))) {
+      return dir;
+    }
+    if (path.dirname(dir) === dir) return start;
+  }
+}
+
+// Strips a single source that doesn't come from the project on disk, such as
+// an editor buffer piped through stdin. `filePath`, which need not exist, says
+// where it belongs: the config of its project applies, and a source that the
+// include, exclude, .gitignore or analyzer rules leave out comes back
+// unchanged with `excluded` set. Without a path only `options` apply. Returns
+// the result of stripDartComments.
+export async function stripSourceAt(source, filePath, options = {}) {
+  if (!filePath) {
+    const { include, exclude, ...stripOptions } = options;
+    return { ...stripDartComments(source, stripOptions), excluded: false };
+  }
 
-    const stats = await fs.stat(flutterProjectPath);
-    if (!stats.isDirectory()) {
-      throw new Error('Provided path is not a directory');
+  try {
+    const projectRoot = await findProjectRoot(filePath);
+    const file = path.relative(projectRoot, path.resolve(filePath));
+    const { include, exclude, ...stripOptions } = await resolveOptions(projectRoot, options);
+    const excluded = !(await createFileFilter(projectRoot, include, exclude))(file);
+    if (excluded) {
+      const stats = { comments: 0, removed: 0, kept: 0, bytesSaved: 0, linesSaved: 0 };
+      return { code: source, comments: [], stats, generated: false, excluded };
     }
+    return { ...stripDartComments(source, { ...stripOptions, file }), excluded };
+  } catch (error) {
+    error.message = `${filePath}: ${error.message}`;
+    throw error;
+  }
+}
 
-    // Find all Dart files in the Flutter project
-    const files = await glob('**/*.dart', { 
-      cwd: flutterProjectPath,
-      ignore: ['**/build/**', '**/ios/**', '**/android/**', '**/web/**', '**/test/**']
-    });
+// Strips comments from the Dart files of a Flutter project and returns one
+// result per file: `{ file, success, removed, kept }`, the comments removed
+// and those kept with the reason why, plus `skipped` when nothing changed,
+// `cached` when an earlier run already stripped the file, `generated` for
+// generated files left alone, `backup` with the run id of the saved
+// original, or `error` when the file failed. Options not given fall back to
+// the project's racfp.yaml
+// (or the `racfp:` section of pubspec.yaml), then to the defaults. Besides
+// the keep and category options of stripDartComments:
+//   include          globs of the files to process (default **/*.dart)
+//   exclude          globs of the files to skip, besides the build, platform
+//                    and test folders unless an include glob names them
+//   defaultExclude   false to process those folders as well
+//   generated        'skip' (default), 'strip' or 'keep-header' for files
+//                    written by code generators such as build_runner
+//   dryRun           write nothing; results carry original, stripped and diff
+//   outDir           write a stripped mirror of the project there instead
+//   backup           save originals under .racfp/backups (default true)
+//   keepBackups      how many runs to keep there, the oldest being removed
+//                    first (default 10)
+//   transactional    revert the whole run if any file fails
+//   continueOnError  record failures and carry on with the next file
+//   staged           only process files staged in git
+//   since            only process files changed between this git ref and HEAD
+//   linesOnly        with staged or since, only strip comments on changed lines
+//   force            run in git mode even with uncommitted changes
+//   cache            skip files left as they were by an earlier run with the
+//                    same options, tracked in .racfp/cache.json (default
+//                    true; only used when writing in place)
+//   concurrency      worker threads to strip with, or 'auto' for one per
+//                    core (default 1: everything on the calling thread)
+//   sidecar          save the removed comments under .racfp/comments so that
+//                    reinsertProject can put them back later
+export async function removeComments(flutterProjectPath, options = {}) {
+  try {
+    await validateProjectPath(flutterProjectPath);
+    const {
+      include,
+      exclude,
+      generated = 'skip',
+      dryRun = false,
+      outDir,
+      backup = true,
+      keepBackups,
+      transactional = false,
+      continueOnError = false,
+      staged = false,
+      since,
+      linesOnly = false,
+      force = false,
+      concurrency = 1,
+      cache = true,
+      sidecar = false,
+      ...stripOptions
+    } = await resolveOptions(flutterProjectPath, options);
 
-    if (files.length === 0) {
-      console.warn('No Dart files found in the specified directory');
-      return [];
+    checkGeneratedPolicy(generated);
+    const workers = resolveConcurrency(concurrency);
+    if ((staged || since) && !force && !dryRun) {
+      await assertCleanTree(flutterProjectPath, { staged });
     }
+    const { files, changes } = await selectFiles(
+      flutterProjectPath,
+      include,
+      outDir ? [...exclude, ...outDirIgnore(flutterProjectPath, outDir)] : exclude,
+      { staged, since, linesOnly }
+    );
+    if (outDir && !dryRun) await mirrorProject(flutterProjectPath, outDir);
+    if (files.length === 0) return [];
 
-    const results = [];
-    const preservedStrings = [];
+    const pool = workers > 1 ? createStripPool(Math.min(workers, files.length)) : null;
+    const run = {
+      dryRun,
+      outDir,
+      sidecar: sidecar && !dryRun,
+      generated,
+      changes,
+      stripOptions,
+      // Line-limited runs depend on more than the file and options
+      cache: cache && !dryRun && !outDir && !changes ? await loadCache(flutterProjectPath, { ...stripOptions, generated }) : null,
+      strip: pool ? pool.strip : async (source, fileOptions) => stripDartComments(source, fileOptions),
+      // Writing over the sources: keep the originals so the run can be undone
+      store: backup && !outDir && !dryRun ? createBackup(flutterProjectPath, { keep: keepBackups }) : null,
+      transaction: transactional && !dryRun ? createTransaction() : null
+    };
 
-    for (const file of files) {
-      const filePath = path.join(flutterProjectPath, file);
-      let content = await fs.readFile(filePath, 'utf8');
-      const originalContent = content;
-
-      // Handle string literals containing comment-like content
-      let stringIndex = 0;
-      content = content.replace(/(r?"""[\s\S]*?"""|r?'''[\s\S]*?'''|r?'[^'\\]*(?:\\.[^'\\]*)*'|r?"[^"\\]*(?:\\.[^"\\]*)*")/g, match => {
-        if (match.includes('${')) {
-          let interpolatedContent = match;
-          const isRawString = match.startsWith('r');
-          const interpolationRegex = /\$\{([^}]+)\}/g;
-          
-          // For raw strings, only process non-nested interpolation
-          if (isRawString) {
-            interpolatedContent = interpolatedContent.replace(interpolationRegex, (fullMatch, expr) => {
-              // If it contains nested interpolation or comments in raw string, preserve it
-              if (expr.includes('${') || expr.includes('/*') || expr.includes('//')) {
-                return fullMatch;
-              }
-              
-              // Otherwise, handle as normal but preserve indentation
-              const lines = expr.split('\n');
-              const baseIndent = lines[0].match(/^(\s*)/)[0];
-              const lastIndent = lines[lines.length - 1].match(/^(\s*)/)[0];
-              
-              let cleanExpr = expr
-                .replace(/\/\/\/[^\n]*/g, '')
-                .replace(/(?<!:)\/\/[^\n]*/g, '')
-                .replace(/\/\*[\s\S]*?\*\//g, '');
-              
-              if (expr.includes('\n')) {
-                const processedLines = cleanExpr.split('\n')
-                  .map(line => {
-                    const trimmed = line.trim();
-                    if (!trimmed) return '';
-                    return baseIndent + trimmed;
-                  })
-                  .filter(Boolean);
-                
-                return '${' + '\n' + processedLines.join('\n') + '\n' + lastIndent + '}';
-              }
-              
-              return '${' + cleanExpr.trim() + '}';
-            });
-            
-            return interpolatedContent;
+    // Results are stored by index so their order doesn't depend on which
+    // file finishes first. Reads and writes are kept to a few per worker.
+    const results = new Array(files.length);
+    let failure = null;
+    try {
+      await forEachLimit(files, workers > 1 ? workers * 4 : 1, async (file, index) => {
+        if (failure) return;
+        try {
+          results[index] = await processFile(flutterProjectPath, file, run);
+        } catch (error) {
+          if (continueOnError && !run.transaction) {
+            console.error(`Failed: ${file}: ${error.message}`);
+            results[index] = { file, success: false, error: error.message };
+          } else {
+            failure ??= { file, error };
           }
-          
-          // Handle regular string interpolation as before
-          interpolatedContent = interpolatedContent.replace(interpolationRegex, (fullMatch, expr) => {
-            // Get the original indentation levels
-            const lines = expr.split('\n');
-            const baseIndent = lines[0].match(/^(\s*)/)[0];
-            const lastIndent = lines[lines.length - 1].match(/^(\s*)/)[0];
-            
-            // For raw strings, preserve the comments
-            if (isRawString) {
-              if (expr.includes('\n')) {
-                return '${' + '\n' + expr + '\n' + lastIndent + '}';
-              }
-              return fullMatch;
-            }
-            
-            // Clean comments from regular string interpolation
-            let cleanExpr = expr
-              .replace(/\/\/\/[^\n]*/g, '')
-              .replace(/(?<!:)\/\/[^\n]*/g, '')
-              .replace(/\/\*[\s\S]*?\*\//g, '');
-            
-            // Preserve indentation for multiline expressions
-            if (expr.includes('\n')) {
-              const processedLines = cleanExpr.split('\n')
-                .map(line => {
-                  const trimmed = line.trim();
-                  if (!trimmed) return '';
-                  
-                  // Find the original indentation for this line
-                  const originalLine = lines.find(l => l.trim() && l.includes(trimmed));
-                  if (originalLine) {
-                    const originalIndent = originalLine.match(/^(\s*)/)[0];
-                    return originalIndent + trimmed;
-                  }
-                  return baseIndent + trimmed;
-                })
-                .filter(Boolean);
-              
-              return '${' + '\n' + processedLines.join('\n') + '\n' + lastIndent + '}';
-            }
-            
-            return '${' + cleanExpr.trim() + '}';
-          });
-          
-          return interpolatedContent;
         }
-        
-        preservedStrings[stringIndex] = match;
-        const placeholder = `PRESERVED_STRING_${stringIndex}`;
-        stringIndex++;
-        return placeholder;
       });
+    } finally {
+      await pool?.close();
+    }
 
-      // Remove documentation comments (must come before single-line comments)
-      content = content.replace(/\/\/\/[^\n]*/g, '');
-
-      // Remove single-line comments (but not URLs in strings)
-      content = content.replace(/(?<!:)\/\/[^\n]*/g, '');
-
-      // Remove multi-line comments (handling nested comments)
-      let stack = [];
-      let lastIndex = 0;
-      
-      while (true) {
-        const startIndex = content.indexOf('/*', lastIndex);
-        if (startIndex === -1) break;
-        
-        stack.push(startIndex);
-        lastIndex = startIndex + 2;
-        
-        let endIndex = content.indexOf('*/', lastIndex);
-        if (endIndex === -1) {
-          // Handle unclosed comment by removing only the comment part
-          const lines = content.slice(startIndex).split('\n');
-          const remainingLines = lines.slice(1);
-          const remainingCode = remainingLines.join('\n');
-          content = content.slice(0, startIndex).trimEnd() + '\n' + remainingCode;
-          break;
-        }
-        
-        while (stack.length > 0) {
-          const nextStart = content.indexOf('/*', lastIndex);
-          const nextEnd = content.indexOf('*/', lastIndex);
-          
-          if (nextEnd === -1) {
-            // Handle unclosed nested comment
-            const lines = content.slice(stack[0]).split('\n');
-            const remainingLines = lines.slice(1);
-            content = content.slice(0, stack[0]) + '\n' + remainingLines.join('\n');
-            stack = [];
-            break;
-          }
-          
-          if (nextStart !== -1 && nextStart < nextEnd) {
-            stack.push(nextStart);
-            lastIndex = nextStart + 2;
-          } else {
-            const start = stack.pop();
-            lastIndex = nextEnd + 2;
-            
-            if (stack.length === 0) {
-              const commentText = content.slice(start, nextEnd + 2);
-              content = content.slice(0, start).trimEnd() + content.slice(nextEnd + 2);
-              lastIndex = start;
-            }
-          }
-        }
-      }
+    if (failure) {
+      const { file, error } = failure;
+      if (!run.transaction) throw error;
 
-      // Restore preserved strings
-      content = content.replace(/PRESERVED_STRING_(\d+)/g, (_, index) => {
-        return preservedStrings[index];
-      });
+      // Put every file of this run back before reporting the failure
+      error.file = file;
+      const { restored, errors } = await run.transaction.rollback();
+      throw new AggregateError(
+        [error, ...errors],
+        `Failed to process ${file}: ${error.message}. Reverted ${restored} changed file(s)` +
+          (errors.length > 0 ? `, ${errors.length} could not be reverted` : '')
+      );
+    }
+    await run.cache?.save();
 
-      // Process content line by line to preserve formatting
-      const lines = content.split('\n');
-      content = lines
-        .map((line, index, arr) => {
-          const originalIndent = line.match(/^(\s*)/)[0];
-          const trimmedLine = line.trim();
-          
-          // Keep empty lines between blocks and preserve method chaining
-          if (!trimmedLine) {
-            const prevLine = arr[index - 1];
-            const nextLine = arr[index + 1];
-            if ((prevLine?.trim()?.endsWith(')') || prevLine?.trim()?.endsWith('}')) && 
-                nextLine?.trim()?.startsWith('.')) {
-              return null;
-            }
-            if (prevLine?.trim() && nextLine?.trim() &&
-                !prevLine.trim().endsWith('{') && 
-                !nextLine.trim().startsWith('}')) {
-              return originalIndent;
-            }
-            return null;
-          }
+    if (!dryRun && results.every(result => result.success)) {
+      console.log('\nComments removed successfully!');
+    }
+    return results;
+  } catch (error) {
+    console.error('Error:', error.message);
+    throw error;
+  }
+}
 
-          // Preserve string indentation and content
-          if (trimmedLine.includes('PRESERVED_STRING_') || 
-              trimmedLine.includes('"""') || 
-              trimmedLine.includes("'''")) {
-            return line;
-          }
+// Lists every comment that removeComments would strip, without writing
+// anything. Each finding has the file, 1-based line and column, kind and text.
+// With `includeKept`, the comments a keep rule saves are listed as well, with
+// the `reason` they are kept. Accepts the same include, exclude, generated,
+// git and keep options as removeComments.
+export async function checkComments(flutterProjectPath, options = {}) {
+  try {
+    await validateProjectPath(flutterProjectPath);
+    const {
+      include,
+      exclude,
+      generated = 'skip',
+      staged = false,
+      since,
+      linesOnly = false,
+      includeKept = false,
+      ...keepOptions
+    } = await resolveOptions(flutterProjectPath, options);
+    checkGeneratedPolicy(generated);
+    const { files, changes } = await selectFiles(flutterProjectPath, include, exclude, { staged, since, linesOnly });
+    const findings = [];
 
-          // Keep original indentation for non-empty lines
-          return originalIndent + trimmedLine;
-        })
-        .filter((line, index, arr) => {
-          if (line === null) return false;
-          
-          // Keep non-empty lines and meaningful empty lines
-          const trimmed = line?.trim();
-          if (!trimmed) {
-            const prevNonEmpty = arr.slice(0, index).reverse().find(l => l !== null && l?.trim());
-            const nextNonEmpty = arr.slice(index + 1).find(l => l !== null && l?.trim());
-            return prevNonEmpty && nextNonEmpty &&
-                   !prevNonEmpty.trim().endsWith('{') && 
-                   !nextNonEmpty.trim().startsWith('}');
-          }
-          return true;
-        })
-        .join('\n');
-
-      // Only write if content has changed
-      if (content !== originalContent) {
-        await fs.writeFile(filePath, content);
-        results.push({ file, success: true });
-        console.log(`Processed: ${file}`);
+    for (const file of files) {
+      const content = await fs.readFile(path.join(flutterProjectPath, file), 'utf8');
+      const lines = changes?.get(file);
+      const { comments } = stripDartComments(content, { ...keepOptions, generated, lines, file });
+      for (const comment of comments.filter(comment => comment.removed || includeKept)) {
+        findings.push({ file, ...describeComment(comment) });
       }
     }
 
-    console.log('\nComments removed successfully!');
-    return results;
+    return findings;
   } catch (error) {
     console.error('Error:', error.message);
     throw error;
   }
 }
 
-// Only run this block if this file is being run directly
-if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  const projectPath = process.argv[2];
-  if (!projectPath) {
-    console.log('Usage: node index.js <flutter-project-path>');
-    console.log('Example: node index.js /path/to/flutter/project');
-    process.exit(1);
+// Measures the Dart files of a project without writing anything: per file,
+// per directory and in total, the code, comment and blank lines, comments,
+// doc coverage of public declarations and the bytes removeComments would
+// save with the same options. Returns `{ files, directories, total,
+// mostCommented }`, the latter being the `top` files (default 10) with the
+// most comments. Generated files are only measured when the generated
+// policy would strip them.
+export async function commentStats(flutterProjectPath, options = {}) {
+  try {
+    await validateProjectPath(flutterProjectPath);
+    const {
+      include,
+      exclude,
+      generated = 'skip',
+      staged = false,
+      since,
+      top = 10,
+      ...keepOptions
+    } = await resolveOptions(flutterProjectPath, options);
+    checkGeneratedPolicy(generated);
+    const { files } = await selectFiles(flutterProjectPath, include, exclude, { staged, since });
+    const measured = [];
+
+    for (const file of files) {
+      const content = await fs.readFile(path.join(flutterProjectPath, file), 'utf8');
+      if (generated === 'skip' && isGeneratedFile(file, content)) continue;
+      measured.push({ file, ...measureSource(content, { ...keepOptions, generated, file }) });
+    }
+
+    return summarizeStats(measured, top);
+  } catch (error) {
+    console.error('Error:', error.message);
+    throw error;
   }
+}
+
+// Collects the TODO, FIXME, HACK and XXX markers in the comments of the
+// project's Dart files, as findTodos lists them, each with its `file`.
+// Accepts the include, exclude, generated and git options of removeComments;
+// generated files are only read when the generated policy would strip them.
+export async function extractTodos(flutterProjectPath, options = {}) {
+  try {
+    await validateProjectPath(flutterProjectPath);
+    const { include, exclude, generated = 'skip', staged = false, since } = await resolveOptions(flutterProjectPath, options);
+    checkGeneratedPolicy(generated);
+    const { files } = await selectFiles(flutterProjectPath, include, exclude, { staged, since });
+    const todos = [];
+
+    for (const file of files) {
+      const content = await fs.readFile(path.join(flutterProjectPath, file), 'utf8');
+      if (generated === 'skip' && isGeneratedFile(file, content)) continue;
+      todos.push(...findTodos(content).map(todo => ({ file, ...todo })));
+    }
+
+    return todos;
+  } catch (error) {
+    console.error('Error:', error.message);
+    throw error;
+  }
+}
 
-  removeComments(projectPath).catch(error => {
+// Only run this block if this file is being run directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  import('./cli.js').then(({ main }) => main(process.argv.slice(2))).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
     console.error('Fatal error:', error);
     process.exit(1);
   });
@@ -1,4 +1,6 @@
-import { removeComments } from './index.js';
+import { removeComments, checkComments, commentStats, extractTodos, stripDartComments, stripSourceAt } from './index.js';
+import { restoreBackup, listBackups } from './backup.js';
+import { execFileSync } from 'child_process';
 import fs from 'fs-extra';
 import path from 'path';
 import { dir } from 'tmp-promise';
@@ -633,7 +635,8 @@ and /* comment-like */ content""");
     }`;
     const expected = `void main() {
       print(r'''\${
-        getData()
+        // raw string comment
+        getData() /* in raw */
       }''');
       print("""\${
         process()
@@ -672,15 +675,16 @@ and /* comment-like */ content""");
     }`;
     const expected = `void main() {
       print(r'''\${
-        getData()
+        // raw string comment
+        getData() /* in raw */
       }''');
       print("""\${
         process()
       }""");
       print(r"""Value: \${
-        getData(r'\${}')
+        getData(r'\${/* nested comment */}') // comment in param
       }""");
-      print(r'Value: \${}');
+      print(r'Value: \${/* should preserve this comment */}');
     }`;
     
     await createTestFile(content);
@@ -750,11 +754,13 @@ and /* comment-like */ content""");
       print(r'''
         \${r'''
           \${r'''
-            getValue()
+            // Deeply nested comment
+            getValue() /* nested */
           '''}
           process()
         '''}
-        format()
+        // Outer level comment
+        format() /* outer */
       ''');
     }`;
     await createTestFile(content);
@@ -798,7 +804,7 @@ and /* comment-like */ content""");
     }`;
     const expected = `void main() {
       print('\${value1}\${value2}\${value3}');
-      print(r'\${
+      print(r'\${// c1
       v1}\${
       v2}\${
       v3}');
@@ -808,4 +814,511 @@ and /* comment-like */ content""");
     const result = await fs.readFile(path.join(tmpDir.path, 'lib', 'main.dart'), 'utf8');
     expect(result).toBe(expected);
   });
-});
\ No newline at end of file
+
+  test('should report diffs without writing files in dry-run mode', async () => {
+    const content = `void main() {
+  // This is a comment
+  print('Hello');
+}`;
+    const filePath = await createTestFile(content);
+    const results = await removeComments(tmpDir.path, { dryRun: true });
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({
+      file: path.join('lib', 'main.dart'),
+      success: true,
+      original: content,
+      stripped: `void main() {\n  print('Hello');\n}`
+    });
+    expect(results[0].diff).toContain('-  // This is a comment');
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+  });
+
+  test('should return an empty diff for unchanged files in dry-run mode', async () => {
+    await createTestFile(`void main() {}`);
+    const [result] = await removeComments(tmpDir.path, { dryRun: true });
+    expect(result.diff).toBe('');
+    expect(result.stripped).toBe(result.original);
+  });
+
+  test('should list remaining comments in check mode without writing', async () => {
+    const content = `/// Entry point
+void main() {
+  print('// not a comment'); /* block */
+}`;
+    const filePath = await createTestFile(content);
+    const findings = await checkComments(tmpDir.path);
+    expect(findings).toEqual([
+      { file: path.join('lib', 'main.dart'), line: 1, column: 1, kind: 'doc', text: '/// Entry point' },
+      { file: path.join('lib', 'main.dart'), line: 3, column: 30, kind: 'block', text: '/* block */' }
+    ]);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+  });
+
+  test('should find nothing in check mode for comment-free code', async () => {
+    await createTestFile(`void main() {\n  print('Hello');\n}`);
+    expect(await checkComments(tmpDir.path)).toEqual([]);
+  });
+
+  test('should keep directives and report why', async () => {
+    const content = `// ignore_for_file: avoid_print
+void main() {
+  // NOLINT keep
+  print('Hello'); // ignore: avoid_print
+  // Removed
+}`;
+    const expected = `// ignore_for_file: avoid_print
+void main() {
+  // NOLINT keep
+  print('Hello'); // ignore: avoid_print
+}`;
+    await createTestFile(content);
+    const [result] = await removeComments(tmpDir.path, { keep: ['*NOLINT*'] });
+    expect(result.kept).toEqual([
+      { line: 1, column: 1, kind: 'line', text: '// ignore_for_file: avoid_print', reason: 'analyzer directive' },
+      { line: 3, column: 3, kind: 'line', text: '// NOLINT keep', reason: 'matches *NOLINT*' },
+      { line: 4, column: 19, kind: 'line', text: '// ignore: avoid_print', reason: 'analyzer directive' }
+    ]);
+    const output = await fs.readFile(path.join(tmpDir.path, 'lib', 'main.dart'), 'utf8');
+    expect(output).toBe(expected);
+    expect(await checkComments(tmpDir.path, { keep: ['*NOLINT*'] })).toEqual([]);
+    expect(await checkComments(tmpDir.path, { keep: ['*NOLINT*'], includeKept: true })).toEqual(
+      result.kept.map(comment => ({ file: path.join('lib', 'main.dart'), ...comment }))
+    );
+  });
+
+  test('should strip only the selected comment kinds', async () => {
+    const content = `/// Public API docs
+void main() {
+  // Implementation chatter
+  print('Hello'); /* block */
+}`;
+    const expected = `/// Public API docs
+void main() {
+  print('Hello'); /* block */
+}`;
+    await createTestFile(content);
+    await removeComments(tmpDir.path, { stripDoc: false, stripBlock: false });
+    const result = await fs.readFile(path.join(tmpDir.path, 'lib', 'main.dart'), 'utf8');
+    expect(result).toBe(expected);
+  });
+
+  test('should keep dartdoc on the public API only', async () => {
+    await fs.mkdir(path.join(tmpDir.path, 'lib/src'));
+    const api = `/// A public widget.
+class Greeter {
+  /// Says hello.
+  void greet() => _log('hi'); // inline note
+
+  /// Internal helper.
+  void _log(String message) {}
+}`;
+    await createTestFile(api, 'greeter.dart');
+    await createTestFile('/// Hidden.\nclass Impl {}', 'src/impl.dart');
+
+    const results = await removeComments(tmpDir.path, { keepPublicDocs: true });
+    expect(results.map(result => result.kept.map(comment => comment.text))).toEqual([
+      ['/// A public widget.', '/// Says hello.'],
+      []
+    ]);
+    expect(await fs.readFile(path.join(tmpDir.path, 'lib', 'greeter.dart'), 'utf8')).toBe(`/// A public widget.
+class Greeter {
+  /// Says hello.
+  void greet() => _log('hi');
+  void _log(String message) {}
+}`);
+    expect(await fs.readFile(path.join(tmpDir.path, 'lib', 'src', 'impl.dart'), 'utf8')).toBe('class Impl {}');
+  });
+
+  test('should write a stripped mirror to the output directory', async () => {
+    const content = '// Comment\nvoid main() {}';
+    const filePath = await createTestFile(content);
+    await fs.outputFile(path.join(tmpDir.path, 'test', 'widget_test.dart'), '// Test comment\n');
+    await fs.outputFile(path.join(tmpDir.path, 'assets', 'logo.svg'), '<svg/>');
+    await fs.outputFile(path.join(tmpDir.path, 'pubspec.yaml'), 'name: app\n');
+    const outDir = path.join(tmpDir.path, 'build', 'stripped');
+
+    const results = await removeComments(tmpDir.path, { outDir });
+    expect(results.map(result => result.file)).toEqual([path.join('lib', 'main.dart')]);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+    expect(await fs.readFile(path.join(outDir, 'lib', 'main.dart'), 'utf8')).toBe('void main() {}');
+    expect(await fs.readFile(path.join(outDir, 'test', 'widget_test.dart'), 'utf8')).toBe('// Test comment\n');
+    expect(await fs.readFile(path.join(outDir, 'assets', 'logo.svg'), 'utf8')).toBe('<svg/>');
+    expect(await fs.readFile(path.join(outDir, 'pubspec.yaml'), 'utf8')).toBe('name: app\n');
+    expect(await fs.pathExists(path.join(outDir, 'build', 'stripped'))).toBe(false);
+  });
+
+  test('should drop files deleted from the project from the output directory', async () => {
+    await createTestFile('// Comment\nvoid main() {}');
+    const removedPath = await createTestFile('void gone() {}', 'gone.dart');
+    await fs.outputFile(path.join(tmpDir.path, '.git', 'HEAD'), 'ref: refs/heads/main\n');
+    const outDir = (await dir({ unsafeCleanup: true })).path;
+    await fs.outputFile(path.join(outDir, '.git', 'config'), '[core]\n');
+
+    await removeComments(tmpDir.path, { outDir });
+    expect(await fs.pathExists(path.join(outDir, 'lib', 'gone.dart'))).toBe(true);
+    expect(await fs.pathExists(path.join(outDir, '.git', 'HEAD'))).toBe(false);
+
+    await fs.remove(removedPath);
+    await fs.remove(path.join(tmpDir.path, 'lib', 'main.dart'));
+    await fs.outputFile(path.join(tmpDir.path, 'assets', 'logo.svg'), '<svg/>');
+    await removeComments(tmpDir.path, { outDir });
+    expect(await fs.pathExists(path.join(outDir, 'lib', 'gone.dart'))).toBe(false);
+    expect(await fs.pathExists(path.join(outDir, 'lib', 'main.dart'))).toBe(false);
+    expect(await fs.readFile(path.join(outDir, 'assets', 'logo.svg'), 'utf8')).toBe('<svg/>');
+    expect(await fs.readFile(path.join(outDir, '.git', 'config'), 'utf8')).toBe('[core]\n');
+    await fs.remove(outDir);
+  });
+
+  test('should leave files it did not copy in the output directory alone', async () => {
+    await createTestFile('// Comment\nvoid main() {}');
+    const removedPath = await createTestFile('void gone() {}', 'gone.dart');
+    const outDir = (await dir({ unsafeCleanup: true })).path;
+    await fs.outputFile(path.join(outDir, 'notes.txt'), 'notes');
+    await fs.outputFile(path.join(outDir, 'keepme', 'data.bin'), 'data');
+    await fs.outputFile(path.join(outDir, 'lib', 'local.dart'), 'void local() {}');
+
+    await removeComments(tmpDir.path, { outDir });
+    await fs.remove(removedPath);
+    await fs.remove(path.join(tmpDir.path, 'lib', 'main.dart'));
+    await removeComments(tmpDir.path, { outDir });
+
+    expect(await fs.pathExists(path.join(outDir, 'lib', 'gone.dart'))).toBe(false);
+    expect(await fs.readFile(path.join(outDir, 'notes.txt'), 'utf8')).toBe('notes');
+    expect(await fs.readFile(path.join(outDir, 'keepme', 'data.bin'), 'utf8')).toBe('data');
+    expect(await fs.readFile(path.join(outDir, 'lib', 'local.dart'), 'utf8')).toBe('void local() {}');
+    await fs.remove(outDir);
+  });
+
+  test('should refuse an output directory that contains the project', async () => {
+    await createTestFile('void main() {}');
+    await expect(removeComments(tmpDir.path, { outDir: tmpDir.path })).rejects.toThrow('Output directory');
+    await expect(removeComments(tmpDir.path, { outDir: path.dirname(tmpDir.path) })).rejects.toThrow('Output directory');
+  });
+
+  test('should back up changed files so the run can be restored', async () => {
+    const content = '// Comment\nvoid main() {}';
+    const filePath = await createTestFile(content);
+    await createTestFile('void other() {}', 'other.dart');
+
+    const results = await removeComments(tmpDir.path);
+    const changed = results.find(result => result.backup);
+    expect(changed.file).toBe(path.join('lib', 'main.dart'));
+    expect(results.filter(result => result.backup)).toHaveLength(1);
+    expect(await fs.readFile(filePath, 'utf8')).toBe('void main() {}');
+
+    const manifest = await restoreBackup(tmpDir.path, changed.backup);
+    expect(manifest.files).toEqual([{ file: 'lib/main.dart' }]);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+  });
+
+  test('should skip the backup when disabled', async () => {
+    await createTestFile('// Comment\nvoid main() {}');
+    const [result] = await removeComments(tmpDir.path, { backup: false });
+    expect(result.backup).toBeUndefined();
+    expect(await fs.pathExists(path.join(tmpDir.path, '.racfp', 'backups'))).toBe(false);
+  });
+
+  test('should revert the whole run when a file fails in transactional mode', async () => {
+    const first = await createTestFile('// First\nvoid a() {}', 'a.dart');
+    const locked = await createTestFile('// Locked\nvoid b() {}', 'b.dart');
+    await fs.chmod(locked, 0o444);
+
+    const error = await removeComments(tmpDir.path, { transactional: true }).catch(e => e);
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.message).toContain('Reverted 1 changed file(s)');
+    expect(error.errors[0]).toMatchObject({ code: 'EACCES', file: path.join('lib', 'b.dart') });
+    expect(await fs.readFile(first, 'utf8')).toBe('// First\nvoid a() {}');
+  });
+
+  test('should keep earlier files changed when not transactional', async () => {
+    const first = await createTestFile('// First\nvoid a() {}', 'a.dart');
+    const locked = await createTestFile('// Locked\nvoid b() {}', 'b.dart');
+    await fs.chmod(locked, 0o444);
+
+    await expect(removeComments(tmpDir.path)).rejects.toMatchObject({ code: 'EACCES' });
+    expect(await fs.readFile(first, 'utf8')).toBe('void a() {}');
+  });
+
+  test('should record failures and carry on with continueOnError', async () => {
+    await createTestFile('// First\nvoid a() {}', 'a.dart');
+    const locked = await createTestFile('// Locked\nvoid b() {}', 'b.dart');
+    await createTestFile('void c() {}', 'c.dart');
+    await fs.chmod(locked, 0o444);
+
+    const results = await removeComments(tmpDir.path, { continueOnError: true, backup: false });
+    expect(results).toEqual([
+      {
+        file: path.join('lib', 'a.dart'),
+        success: true,
+        removed: [{ line: 1, column: 1, kind: 'line', text: '// First' }],
+        kept: []
+      },
+      { file: path.join('lib', 'b.dart'), success: false, error: expect.stringContaining('EACCES') },
+      { file: path.join('lib', 'c.dart'), success: true, removed: [], kept: [], skipped: true }
+    ]);
+  });
+
+  test('should take include and exclude globs from racfp.yaml', async () => {
+    await createTestFile('// Generated\nvoid g() {}', 'generated.dart');
+    await createTestFile('// Main\nvoid main() {}');
+    await fs.outputFile(path.join(tmpDir.path, 'test', 'main_test.dart'), '// Test\nvoid main() {}');
+    await fs.writeFile(
+      path.join(tmpDir.path, 'racfp.yaml'),
+      'include:\n  - lib/**/*.dart\n  - test/**/*.dart\nexclude: lib/generated.dart\n'
+    );
+
+    const results = await removeComments(tmpDir.path, { backup: false });
+    expect(results.map(result => result.file)).toEqual([path.join('lib', 'main.dart'), path.join('test', 'main_test.dart')]);
+    expect(await fs.readFile(path.join(tmpDir.path, 'lib', 'generated.dart'), 'utf8')).toBe('// Generated\nvoid g() {}');
+  });
+
+  test('should add exclude globs to the default ones', async () => {
+    await createTestFile('// Main\nvoid main() {}');
+    await fs.outputFile(path.join(tmpDir.path, 'lib', 'generated', 'g.dart'), '// Generated\nvoid g() {}');
+    await fs.outputFile(path.join(tmpDir.path, 'build', 'b.dart'), '// Build\nvoid b() {}');
+    await fs.outputFile(path.join(tmpDir.path, 'test', 't.dart'), '// Test\nvoid t() {}');
+
+    const results = await removeComments(tmpDir.path, { exclude: ['lib/generated/**'], backup: false });
+    expect(results.map(result => result.file)).toEqual([path.join('lib', 'main.dart')]);
+
+    const all = await checkComments(tmpDir.path, { exclude: ['lib/generated/**'], defaultExclude: false });
+    expect(all.map(finding => finding.file)).toEqual([path.join('build', 'b.dart'), path.join('test', 't.dart')]);
+  });
+
+  test('should process a default excluded folder that include names', async () => {
+    await createTestFile('// Main\nvoid main() {}');
+    await fs.outputFile(path.join(tmpDir.path, 'test', 'main_test.dart'), '// Test\nvoid main() {}');
+
+    const results = await removeComments(tmpDir.path, { include: ['test/**/*.dart'], backup: false });
+    expect(results.map(result => result.file)).toEqual([path.join('test', 'main_test.dart')]);
+    expect(await fs.readFile(path.join(tmpDir.path, 'test', 'main_test.dart'), 'utf8')).toBe('void main() {}');
+  });
+
+  test('should only pick files when include globs match folders too', async () => {
+    await createTestFile('// Main\nvoid main() {}');
+    await fs.outputFile(path.join(tmpDir.path, 'lib', 'src', 'a.dart'), '// A\nvoid a() {}');
+
+    const results = await removeComments(tmpDir.path, { include: ['lib/**'], backup: false });
+    expect(results.map(result => result.file)).toEqual([path.join('lib', 'main.dart'), path.join('lib', 'src', 'a.dart')]);
+  });
+
+  test('should read a racfp section of pubspec.yaml and let options override it', async () => {
+    await createTestFile('// TODO: keep me\nvoid main() {}');
+    await fs.writeFile(path.join(tmpDir.path, 'pubspec.yaml'), 'name: app\nracfp:\n  keep_todos: true\n');
+
+    const findings = await checkComments(tmpDir.path);
+    expect(findings).toEqual([]);
+    const overridden = await checkComments(tmpDir.path, { keepTodos: false, exclude: undefined });
+    expect(overridden).toHaveLength(1);
+  });
+
+  test('should skip files ignored by .gitignore or analysis_options.yaml', async () => {
+    await createTestFile('// Main\nvoid main() {}');
+    await createTestFile('// Vendored\nvoid v() {}', 'vendored.dart');
+    await createTestFile('// Generated\nvoid g() {}', 'model.freezed.dart');
+    await fs.outputFile(path.join(tmpDir.path, '.dart_tool', 'entry.dart'), '// Tool\nvoid t() {}');
+    await fs.writeFile(path.join(tmpDir.path, '.gitignore'), '.dart_tool/\n');
+    await fs.writeFile(path.join(tmpDir.path, 'lib', '.gitignore'), 'vendored.dart\n');
+    await fs.writeFile(path.join(tmpDir.path, 'analysis_options.yaml'), 'analyzer:\n  exclude: ["**/*.freezed.dart"]\n');
+
+    const results = await removeComments(tmpDir.path, { include: ['**/*.dart'], backup: false });
+    expect(results.map(result => result.file)).toEqual([path.join('lib', 'main.dart')]);
+    expect(await fs.readFile(path.join(tmpDir.path, 'lib', 'vendored.dart'), 'utf8')).toBe('// Vendored\nvoid v() {}');
+  });
+
+  test('should skip generated files by default', async () => {
+    const content = '// GENERATED CODE - DO NOT MODIFY BY HAND\n\npart of \'user.dart\';\n\n// Generator\nvoid g() {}';
+    const generated = await createTestFile(content, 'user.g.dart');
+    const results = await removeComments(tmpDir.path, { backup: false });
+    expect(results).toEqual([{ file: path.join('lib', 'user.g.dart'), success: true, removed: [], kept: [], skipped: true, generated: true }]);
+    expect(await fs.readFile(generated, 'utf8')).toBe(content);
+    expect(await checkComments(tmpDir.path)).toEqual([]);
+    expect((await commentStats(tmpDir.path)).files).toEqual([]);
+  });
+
+  test('should measure files without changing them', async () => {
+    const content = '/// Entry point\nvoid main() {} // Trailing\n';
+    const filePath = await createTestFile(content);
+    await createTestFile('// TODO: later\nvoid helper() {}\n', 'helper.dart');
+
+    const stats = await commentStats(tmpDir.path, { keepTodos: true, top: 1 });
+    expect(stats.files).toEqual([
+      expect.objectContaining({ file: path.join('lib', 'helper.dart'), comments: 1, bytesSaved: 0 }),
+      expect.objectContaining({ file: path.join('lib', 'main.dart'), codeLines: 1, commentLines: 2, documented: 1 })
+    ]);
+    expect(stats.total).toMatchObject({ files: 2, comments: 3, publicDeclarations: 2, documented: 1 });
+    expect(stats.mostCommented.map(entry => entry.file)).toEqual([path.join('lib', 'main.dart')]);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+  });
+
+  test('should collect TODOs across the project', async () => {
+    await createTestFile('// TODO(ana): rename\nvoid main() {}\n');
+    await createTestFile('class Helper {\n  void run() {} // FIXME: slow\n}\n', 'helper.dart');
+    await createTestFile('// GENERATED CODE - DO NOT MODIFY BY HAND\n// TODO: generated\n', 'model.g.dart');
+
+    expect(await extractTodos(tmpDir.path)).toEqual([
+      { file: path.join('lib', 'helper.dart'), line: 2, column: 20, marker: 'FIXME', owner: null, text: 'slow', declaration: 'Helper.run' },
+      { file: path.join('lib', 'main.dart'), line: 1, column: 4, marker: 'TODO', owner: 'ana', text: 'rename', declaration: null }
+    ]);
+    expect(await extractTodos(tmpDir.path, { generated: 'strip' })).toHaveLength(3);
+  });
+
+  test('should strip generated files but keep their header on request', async () => {
+    const content = '// GENERATED CODE - DO NOT MODIFY BY HAND\n// ignore_for_file: type=lint\n\npart of \'user.dart\';\n\n// Generator\nvoid g() {}';
+    const generated = await createTestFile(content, 'user.g.dart');
+    await removeComments(tmpDir.path, { generated: 'keep-header', keepDefaults: false, backup: false });
+    expect(await fs.readFile(generated, 'utf8')).toBe(
+      '// GENERATED CODE - DO NOT MODIFY BY HAND\n// ignore_for_file: type=lint\n\npart of \'user.dart\';\nvoid g() {}'
+    );
+
+    await removeComments(tmpDir.path, { generated: 'strip', keepDefaults: false, backup: false });
+    expect(await fs.readFile(generated, 'utf8')).toBe('part of \'user.dart\';\nvoid g() {}');
+    await expect(removeComments(tmpDir.path, { generated: 'nope' })).rejects.toThrow('Unknown generated code policy: nope');
+  });
+
+  test('should only strip staged files, or their changed lines with linesOnly', async () => {
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: tmpDir.path });
+    await createTestFile('// A\nvoid a() {}\n', 'a.dart');
+    await createTestFile('// B\nvoid b() {}\n', 'b.dart');
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-qm', 'initial');
+
+    await createTestFile('// A\nvoid a() {} // changed\n', 'a.dart');
+    const results = await removeComments(tmpDir.path, { staged: true, force: true, backup: false });
+    expect(results).toEqual([]);
+    await expect(removeComments(tmpDir.path, { staged: true })).rejects.toThrow('unstaged changes');
+
+    git('add', '.');
+    const staged = await removeComments(tmpDir.path, { staged: true, linesOnly: true, backup: false });
+    expect(staged.map(result => result.file)).toEqual([path.join('lib', 'a.dart')]);
+    expect(await fs.readFile(path.join(tmpDir.path, 'lib', 'a.dart'), 'utf8')).toBe('// A\nvoid a() {}\n');
+    expect(await fs.readFile(path.join(tmpDir.path, 'lib', 'b.dart'), 'utf8')).toBe('// B\nvoid b() {}\n');
+  });
+
+  test('should reject conflicting git options', async () => {
+    await createTestFile('void main() {}');
+    await expect(removeComments(tmpDir.path, { linesOnly: true })).rejects.toThrow('linesOnly needs staged or since');
+    await expect(checkComments(tmpDir.path, { staged: true, since: 'HEAD' })).rejects.toThrow('Use either staged or since, not both');
+  });
+
+  test('should strip a source piped in for a path of the project', async () => {
+    await fs.writeFile(path.join(tmpDir.path, 'pubspec.yaml'), 'name: app\nracfp:\n  keep_todos: true\n  exclude: [lib/generated/**]\n');
+    const source = '// TODO: later\n// Gone\nvoid main() {}\n';
+
+    const stripped = await stripSourceAt(source, path.join(tmpDir.path, 'lib', 'unsaved.dart'));
+    expect(stripped).toMatchObject({ code: '// TODO: later\nvoid main() {}\n', excluded: false });
+    const excluded = await stripSourceAt(source, path.join(tmpDir.path, 'lib', 'generated', 'a.dart'));
+    expect(excluded).toMatchObject({ code: source, comments: [], excluded: true });
+    expect((await stripSourceAt(source)).code).toBe('void main() {}\n');
+  });
+
+  test('should name the path in errors about a piped source', async () => {
+    await fs.writeFile(path.join(tmpDir.path, 'racfp.yaml'), 'generated: sometimes\n');
+    const filePath = path.join(tmpDir.path, 'lib', 'main.dart');
+    await expect(stripSourceAt('void main() {}', filePath)).rejects.toThrow(`${filePath}: Unknown generated code policy`);
+  });
+
+  test('should give the same results in order with worker threads', async () => {
+    for (let i = 0; i < 6; i++) {
+      await createTestFile(`// File ${i}\nvoid f${i}() {} // trailing\n`, `f${i}.dart`);
+    }
+    await createTestFile('void plain() {}\n', 'plain.dart');
+
+    const sequential = await removeComments(tmpDir.path, { dryRun: true });
+    const parallel = await removeComments(tmpDir.path, { dryRun: true, concurrency: 3 });
+    expect(parallel).toEqual(sequential);
+
+    const results = await removeComments(tmpDir.path, { concurrency: 3 });
+    expect(results.map(result => result.file)).toEqual(sequential.map(result => result.file));
+    expect(new Set(results.filter(result => result.backup).map(result => result.backup)).size).toBe(1);
+    const [manifest] = await listBackups(tmpDir.path);
+    expect(manifest.files).toHaveLength(6);
+    expect(await fs.readFile(path.join(tmpDir.path, 'lib', 'f3.dart'), 'utf8')).toBe('void f3() {}\n');
+  });
+
+  test('should skip files an earlier run already stripped', async () => {
+    await createTestFile('// A\nvoid a() {}', 'a.dart');
+    const b = await createTestFile('// TODO: b\nvoid b() {}', 'b.dart');
+    const first = await removeComments(tmpDir.path, { keepTodos: true, backup: false });
+    expect(first.some(result => result.cached)).toBe(false);
+
+    await fs.writeFile(b, '// TODO: b\n// New\nvoid b() {}');
+    const second = await removeComments(tmpDir.path, { keepTodos: true, backup: false });
+    expect(second).toEqual([
+      { file: path.join('lib', 'a.dart'), success: true, removed: [], kept: [], skipped: true, cached: true },
+      {
+        file: path.join('lib', 'b.dart'),
+        success: true,
+        removed: [expect.objectContaining({ text: '// New' })],
+        kept: [expect.objectContaining({ reason: 'todo marker' })]
+      }
+    ]);
+
+    const rerun = await removeComments(tmpDir.path, { keepTodos: false, backup: false });
+    expect(rerun.some(result => result.cached)).toBe(false);
+    expect(await fs.readFile(b, 'utf8')).toBe('void b() {}');
+    const uncached = await removeComments(tmpDir.path, { keepTodos: false, backup: false, cache: false });
+    expect(uncached.some(result => result.cached)).toBe(false);
+  });
+
+  test('should handle quotes nested inside interpolation', async () => {
+    const content = `void main() {
+  print('\${map['key'] /* lookup */} and \${"a // b"}'); // trailing
+  print("$name // not a comment");
+}`;
+    const expected = `void main() {
+  print('\${map['key']} and \${"a // b"}');
+  print("$name // not a comment");
+}`;
+    await createTestFile(content);
+    await removeComments(tmpDir.path);
+    const result = await fs.readFile(path.join(tmpDir.path, 'lib', 'main.dart'), 'utf8');
+    expect(result).toBe(expected);
+  });
+
+  test('should not confuse placeholder-like text or colons with strings', async () => {
+    const content = `void main() {
+  final PRESERVED_STRING_3 = 'x'; // comment
+  a://b
+  print(PRESERVED_STRING_3);
+}`;
+    const expected = `void main() {
+  final PRESERVED_STRING_3 = 'x';
+  a:
+  print(PRESERVED_STRING_3);
+}`;
+    await createTestFile(content);
+    await removeComments(tmpDir.path);
+    const result = await fs.readFile(path.join(tmpDir.path, 'lib', 'main.dart'), 'utf8');
+    expect(result).toBe(expected);
+  });
+});
+
+describe('stripDartComments', () => {
+  test('should strip a source string and describe every comment', () => {
+    const source = '// ignore_for_file: x\n// Entry point\nvoid main() {} /* end */\n';
+    const { code, comments, stats, generated } = stripDartComments(source);
+    expect(code).toBe('// ignore_for_file: x\nvoid main() {}\n');
+    expect(comments).toEqual([
+      { start: 0, end: 21, line: 1, column: 1, kind: 'line', text: '// ignore_for_file: x', removed: false, reason: 'analyzer directive' },
+      { start: 22, end: 36, line: 2, column: 1, kind: 'line', text: '// Entry point', removed: true },
+      { start: 52, end: 61, line: 3, column: 16, kind: 'block', text: '/* end */', removed: true }
+    ]);
+    expect(stats).toEqual({ comments: 3, removed: 2, kept: 1, bytesSaved: source.length - code.length, linesSaved: 1 });
+    expect(generated).toBe(false);
+  });
+
+  test('should apply keep options and path-dependent rules', () => {
+    const source = '/// Public docs\nclass Api {}\n';
+    expect(stripDartComments(source, { keepPublicDocs: true, file: 'lib/api.dart' }).code).toBe(source);
+    expect(stripDartComments(source, { keepPublicDocs: true, file: 'lib/src/api.dart' }).code).toBe('class Api {}\n');
+  });
+
+  test('should leave generated sources alone unless told otherwise', () => {
+    const source = '// GENERATED CODE - DO NOT MODIFY BY HAND\n// Body\nvoid g() {}';
+    expect(stripDartComments(source)).toMatchObject({ code: source, comments: [], generated: true });
+    expect(stripDartComments(source, { generated: 'keep-header' }).code).toBe(source);
+    expect(stripDartComments(source, { generated: 'strip' }).code).toBe('void g() {}');
+  });
+});
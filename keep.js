@@ -0,0 +1,117 @@
+// Rules deciding which comments survive stripping. Each rule returns the
+// reason a comment is kept, which is reported back to the caller.
+
+import path from 'path';
+import { parseDeclarations } from './declarations.js';
+
+export const DEFAULT_KEEP_RULES = [
+  { reason: 'analyzer directive', pattern: /^\/\/\s*ignore(_for_file)?\s*:/ },
+  { reason: 'coverage directive', pattern: /^\/\/\s*coverage:ignore-(line|start|end|file)\b/ },
+  { reason: 'formatter directive', pattern: /^\/\/\s*dart format (off|on)\b/ },
+  { reason: 'language version', pattern: /^\/\/\s*@dart\s*=\s*\d+\.\d+/ }
+];
+
+export const TODO_PATTERN = /\b(TODO|FIXME|HACK|XXX)\b/;
+
+const LICENSE_PATTERN = /copyright|licen[cs]e|spdx-license-identifier/i;
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '[\\s\\S]*';
+      if (char === '?') return '[\\s\\S]';
+      return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Accepts a RegExp, a `/source/flags` string or a glob where `*` and `?`
+// match any text, including slashes.
+export function parseKeepPattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  // Stateful flags would make repeated tests flip between results
+  if (regex) return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+  return globToRegExp(pattern);
+}
+
+// The comments before the first line of code. Unless `acrossBlankLines` is
+// set, a blank line ends the run.
+function leadingComments(source, comments, acrossBlankLines = false) {
+  const header = [];
+  let cursor = 0;
+  for (const comment of comments) {
+    const gap = source.slice(cursor, comment.start);
+    if (gap.trim() !== '') break;
+    if (!acrossBlankLines && header.length > 0 && /(\r\n|\r|\n)[ \t]*(\r\n|\r|\n)/.test(gap)) break;
+    header.push(comment);
+    cursor = comment.end;
+  }
+  return header;
+}
+
+// The leading comments not separated by a blank line form the file header. It
+// is kept whole when any of its comments mentions a copyright or license.
+function licenseHeader(source, comments) {
+  const header = leadingComments(source, comments);
+  return header.some(comment => LICENSE_PATTERN.test(comment.text)) ? new Set(header) : new Set();
+}
+
+// Everything a generator put above the code, plus its analyzer directives,
+// which code generators also emit further down the file.
+function generatedHeader(source, comments) {
+  const [analyzerDirective] = DEFAULT_KEEP_RULES;
+  return new Set([
+    ...leadingComments(source, comments, true),
+    ...comments.filter(comment => analyzerDirective.pattern.test(comment.text))
+  ]);
+}
+
+// Doc comments attached to public declarations, unless the file is a
+// private implementation file under lib/src.
+function publicDocs(source, tokens, file) {
+  if (file && /^lib\/src\//.test(file.split(path.sep).join('/'))) return new Set();
+  return new Set(parseDeclarations(source, tokens)
+    .filter(declaration => declaration.public)
+    .flatMap(declaration => declaration.docs));
+}
+
+// Returns a function mapping each comment token of `source` to the reason it
+// is kept, or null when it should be stripped. `stripLine`, `stripBlock` and
+// `stripDoc` switch whole comment kinds off; `keepPublicDocs` keeps the doc
+// comments of the public API of `file`, given relative to the project root;
+// `keepGeneratedHeader` keeps the header of a generated file.
+export function createKeepMatcher(source, tokens, options = {}) {
+  const {
+    keep = [],
+    keepDefaults = true,
+    keepTodos = false,
+    keepPublicDocs = false,
+    stripLine = true,
+    stripBlock = true,
+    stripDoc = true,
+    keepGeneratedHeader = false,
+    file
+  } = options;
+  const comments = tokens.filter(token => token.type === 'comment');
+  const strippedKinds = { line: stripLine, block: stripBlock, doc: stripDoc };
+  const rules = keepDefaults ? [...DEFAULT_KEEP_RULES] : [];
+  if (keepTodos) rules.push({ reason: 'todo marker', pattern: TODO_PATTERN });
+  for (const pattern of keep) {
+    rules.push({ reason: `matches ${pattern}`, pattern: parseKeepPattern(pattern) });
+  }
+  const header = keepDefaults ? licenseHeader(source, comments) : new Set();
+  const generated = keepGeneratedHeader ? generatedHeader(source, comments) : new Set();
+  const docs = keepPublicDocs && stripDoc ? publicDocs(source, tokens, file) : new Set();
+
+  return comment => {
+    if (!strippedKinds[comment.kind]) return `${comment.kind} comments not stripped`;
+    if (generated.has(comment)) return 'generated header';
+    if (header.has(comment)) return 'license header';
+    if (docs.has(comment)) return 'public API doc';
+    const rule = rules.find(({ pattern }) => pattern.test(comment.text));
+    return rule ? rule.reason : null;
+  };
+}
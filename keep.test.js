@@ -0,0 +1,133 @@
+import { createKeepMatcher, parseKeepPattern } from './keep.js';
+import { tokenize } from './lexer.js';
+
+describe('Keep rules', () => {
+  function reasons(source, options) {
+    const tokens = tokenize(source);
+    const keepReason = createKeepMatcher(source, tokens, options);
+    const comments = tokens.filter(token => token.type === 'comment');
+    return comments.map(comment => [comment.text, keepReason(comment)]);
+  }
+
+  test('should keep analyzer, coverage, formatter and language version directives', () => {
+    const source = `// @dart=2.12
+// ignore_for_file: avoid_print
+foo(); // ignore: unused_local_variable
+bar(); // coverage:ignore-line
+// dart format off
+// plain comment`;
+    expect(reasons(source)).toEqual([
+      ['// @dart=2.12', 'language version'],
+      ['// ignore_for_file: avoid_print', 'analyzer directive'],
+      ['// ignore: unused_local_variable', 'analyzer directive'],
+      ['// coverage:ignore-line', 'coverage directive'],
+      ['// dart format off', 'formatter directive'],
+      ['// plain comment', null]
+    ]);
+  });
+
+  test('should keep the whole license header but not the comments after it', () => {
+    const source = `// Copyright 2024 The Authors.
+// Use of this source code is governed by a BSD-style license.
+
+/// Library docs
+library foo;`;
+    expect(reasons(source).map(([, reason]) => reason)).toEqual(['license header', 'license header', null]);
+  });
+
+  test('should not treat a comment after code as a license header', () => {
+    expect(reasons(`import 'a.dart';\n// Copyright 2024`)).toEqual([['// Copyright 2024', null]]);
+  });
+
+  test('should strip directives when the defaults are disabled', () => {
+    expect(reasons('// ignore: x', { keepDefaults: false })).toEqual([['// ignore: x', null]]);
+  });
+
+  test('should keep the header and analyzer directives of generated files', () => {
+    const source = `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+// ignore_for_file: type=lint
+
+part of 'user.dart';
+
+// JsonSerializableGenerator
+// ignore_for_file: unused_element`;
+    expect(reasons(source, { keepGeneratedHeader: true, keepDefaults: false }).map(([, reason]) => reason)).toEqual([
+      'generated header',
+      'generated header',
+      null,
+      'generated header'
+    ]);
+  });
+
+  test('should keep TODO markers on request', () => {
+    expect(reasons('// TODO(alice): later\n// FIXME now', { keepTodos: true })).toEqual([
+      ['// TODO(alice): later', 'todo marker'],
+      ['// FIXME now', 'todo marker']
+    ]);
+  });
+
+  test('should match user-supplied globs and regular expressions', () => {
+    const source = '// NOLINT: reason\n/* keep me */\n// other';
+    expect(reasons(source, { keep: ['*NOLINT*', '/^\\/\\*\\s*keep/i'] })).toEqual([
+      ['// NOLINT: reason', 'matches *NOLINT*'],
+      ['/* keep me */', 'matches /^\\/\\*\\s*keep/i'],
+      ['// other', null]
+    ]);
+  });
+
+  test('should keep whole comment kinds that are not stripped', () => {
+    const source = '/// Doc\n/** Doc block */\n// Line\n/* Block */';
+    expect(reasons(source, { stripDoc: false, stripBlock: false })).toEqual([
+      ['/// Doc', 'doc comments not stripped'],
+      ['/** Doc block */', 'doc comments not stripped'],
+      ['// Line', null],
+      ['/* Block */', 'block comments not stripped']
+    ]);
+  });
+
+  test('should keep doc comments of public declarations only', () => {
+    const source = `/// Public class
+class Api {
+  /// Public method
+  void run() {
+    /// Local
+    var x = 1;
+  }
+  /// Private field
+  int _count = 0;
+}
+/// Private class
+class _Impl {
+  /// Member of a private class
+  void run() {}
+}
+// Plain comment
+/// Public function
+void main() {}`;
+    expect(reasons(source, { keepPublicDocs: true })).toEqual([
+      ['/// Public class', 'public API doc'],
+      ['/// Public method', 'public API doc'],
+      ['/// Local', null],
+      ['/// Private field', null],
+      ['/// Private class', null],
+      ['/// Member of a private class', null],
+      ['// Plain comment', null],
+      ['/// Public function', 'public API doc']
+    ]);
+  });
+
+  test('should not keep doc comments in lib/src', () => {
+    const source = '/// Docs\nclass Api {}';
+    expect(reasons(source, { keepPublicDocs: true, file: 'lib/src/api.dart' })).toEqual([['/// Docs', null]]);
+    expect(reasons(source, { keepPublicDocs: true, file: 'lib/api.dart' })).toEqual([['/// Docs', 'public API doc']]);
+  });
+
+  test('should parse patterns', () => {
+    expect(parseKeepPattern('//*x?').test('//abxz')).toBe(true);
+    expect(parseKeepPattern('//*x?').test('//abx')).toBe(false);
+    expect(parseKeepPattern('/ab+c/g').flags).toBe('');
+    const regex = /x/;
+    expect(parseKeepPattern(regex)).toBe(regex);
+  });
+});
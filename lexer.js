@@ -0,0 +1,174 @@
+// Character-level Dart lexer. It only understands as much of the language as
+// is needed to tell comments apart from everything else: string literals in
+// all their forms (raw, triple-quoted, adjacent, `$name` and nested `${...}`
+// interpolation) and nested block comments.
+
+import { isLineBreak } from './util.js';
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+
+function commentKind(text, isBlock) {
+  if (isBlock) {
+    return text.startsWith('/**') && !text.startsWith('/**/') ? 'doc' : 'block';
+  }
+  return text.startsWith('///') && !text.startsWith('////') ? 'doc' : 'line';
+}
+
+// Returns a function mapping an offset in `source` to its 1-based line and
+// column.
+export function createLocator(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\r' && source[i + 1] === '\n') i++;
+    if (isLineBreak(source[i])) starts.push(i + 1);
+  }
+
+  return offset => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - starts[low] + 1 };
+  };
+}
+
+// Returns every comment and string literal in `source` as tokens sorted by
+// offset. Comment tokens look like
+// `{ type: 'comment', kind: 'line' | 'block' | 'doc', start, end, text, line, column }`
+// with 1-based line and column; string tokens cover the whole literal
+// including its prefix and quotes, and list the `{ start, end }` of the code
+// inside each of its `${...}` in `interpolations`.
+export function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  function lineComment() {
+    const start = pos;
+    while (pos < source.length && !isLineBreak(source[pos])) pos++;
+    const text = source.slice(start, pos);
+    tokens.push({ type: 'comment', kind: commentKind(text, false), start, end: pos, text });
+  }
+
+  function blockComment() {
+    const start = pos;
+    let depth = 0;
+    while (pos < source.length) {
+      if (source.startsWith('/*', pos)) {
+        depth++;
+        pos += 2;
+      } else if (source.startsWith('*/', pos)) {
+        depth--;
+        pos += 2;
+        if (depth === 0) break;
+      } else {
+        pos++;
+      }
+    }
+
+    const token = { type: 'comment', start, end: pos };
+    if (depth > 0) {
+      // Unterminated: recover by ending the comment with its first line so
+      // the rest of the file is still treated as code.
+      pos = start;
+      while (pos < source.length && !isLineBreak(source[pos])) pos++;
+      token.end = pos;
+      token.unterminated = true;
+    }
+    token.text = source.slice(start, token.end);
+    token.kind = commentKind(token.text, true);
+    tokens.push(token);
+  }
+
+  // Scans a string literal starting at its prefix or opening quote. A string
+  // nested inside an interpolation that runs past the end of its line (or the
+  // file) fails and returns false so the caller can backtrack.
+  function string(nested) {
+    const start = pos;
+    const raw = source[pos] === 'r';
+    if (raw) pos++;
+    const quote = source[pos];
+    const delimiter = source.startsWith(quote.repeat(3), pos) ? quote.repeat(3) : quote;
+    const multiline = delimiter.length === 3;
+    const interpolations = [];
+    pos += delimiter.length;
+
+    while (pos < source.length) {
+      const char = source[pos];
+      if (source.startsWith(delimiter, pos)) {
+        pos += delimiter.length;
+        tokens.push({ type: 'string', start, end: pos, raw, multiline, interpolations });
+        return true;
+      }
+      if (!multiline && isLineBreak(char)) break;
+      if (!raw && char === '\\') {
+        pos += 2;
+      } else if (!raw && char === '$' && source[pos + 1] === '{') {
+        const dollar = pos;
+        const mark = tokens.length;
+        pos += 2;
+        if (code(true)) {
+          interpolations.push({ start: dollar + 2, end: pos - 1 });
+        } else {
+          // Not a well-formed interpolation: read `${` as plain text.
+          tokens.length = mark;
+          pos = dollar + 1;
+        }
+      } else {
+        pos++;
+      }
+    }
+
+    if (nested) return false;
+    pos = Math.min(pos, source.length);
+    tokens.push({ type: 'string', start, end: pos, raw, multiline, interpolations, unterminated: true });
+    return true;
+  }
+
+  // Scans code until the end of the file, or until the `}` closing an
+  // interpolation when `interpolation` is set.
+  function code(interpolation) {
+    let depth = 0;
+    while (pos < source.length) {
+      const char = source[pos];
+      const next = source[pos + 1];
+      if (char === '/' && next === '/') {
+        lineComment();
+      } else if (char === '/' && next === '*') {
+        blockComment();
+      } else if (char === '\'' || char === '"' ||
+                 (char === 'r' && (next === '\'' || next === '"') &&
+                  !IDENTIFIER_CHAR.test(source[pos - 1] ?? ''))) {
+        if (!string(interpolation)) return false;
+      } else if (char === '{') {
+        depth++;
+        pos++;
+      } else if (char === '}') {
+        pos++;
+        if (depth === 0 && interpolation) return true;
+        depth = Math.max(0, depth - 1);
+      } else {
+        pos++;
+      }
+    }
+    return !interpolation;
+  }
+
+  code(false);
+
+  const locate = createLocator(source);
+  tokens.sort((a, b) => a.start - b.start);
+  for (const token of tokens) {
+    Object.assign(token, locate(token.start));
+  }
+  return tokens;
+}
+
+// Yields the comment tokens of `source` in order.
+export function* scanComments(source) {
+  for (const token of tokenize(source)) {
+    if (token.type === 'comment') yield token;
+  }
+}
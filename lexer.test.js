@@ -0,0 +1,78 @@
+import { tokenize, scanComments } from './lexer.js';
+
+describe('Dart lexer', () => {
+  function comments(source) {
+    return [...scanComments(source)].map(({ kind, text }) => ({ kind, text }));
+  }
+
+  test('should classify line, block and doc comments', () => {
+    const source = `/// Doc line
+//// Not a doc comment
+/** Doc block */
+/**/ /* Block */
+// Line`;
+    expect(comments(source)).toEqual([
+      { kind: 'doc', text: '/// Doc line' },
+      { kind: 'line', text: '//// Not a doc comment' },
+      { kind: 'doc', text: '/** Doc block */' },
+      { kind: 'block', text: '/**/' },
+      { kind: 'block', text: '/* Block */' },
+      { kind: 'line', text: '// Line' }
+    ]);
+  });
+
+  test('should report 1-based line and column', () => {
+    const [token] = scanComments('void main() {\r\n  print(1); // here\r\n}');
+    expect(token).toMatchObject({ line: 2, column: 13, start: 27, end: 34 });
+  });
+
+  test('should treat nested block comments as one token', () => {
+    expect(comments('/* a /* b */ c */ x;')).toEqual([
+      { kind: 'block', text: '/* a /* b */ c */' }
+    ]);
+  });
+
+  test('should end an unterminated block comment at its first line', () => {
+    const [token] = scanComments('/* open\ncode();');
+    expect(token).toMatchObject({ text: '/* open', unterminated: true });
+  });
+
+  test('should ignore comment markers inside every string form', () => {
+    const source = `a('//', "/*", r'\${// x}', '''
+// still a string
+''', r"""/* raw */""", 'adjacent' ' // too');`;
+    expect(comments(source)).toEqual([]);
+    expect(tokenize(source).filter(token => token.type === 'string')).toHaveLength(7);
+  });
+
+  test('should find comments inside nested interpolation', () => {
+    const source = `'\${'inner \${x /* deep */} "q"' // mid
+}' // outer`;
+    expect(comments(source)).toEqual([
+      { kind: 'block', text: '/* deep */' },
+      { kind: 'line', text: '// mid' },
+      { kind: 'line', text: '// outer' }
+    ]);
+  });
+
+  test('should record where the code of each interpolation is', () => {
+    const source = `'a\${b /* c */} \${'\${d}'}'`;
+    const strings = tokenize(source).filter(token => token.type === 'string');
+    expect(strings.map(token => token.interpolations.map(({ start, end }) => source.slice(start, end)))).toEqual([
+      ['b /* c */', "'${d}'"],
+      ['d']
+    ]);
+  });
+
+  test('should read a malformed interpolation as plain text', () => {
+    expect(comments(`print('\${'); // unclosed`)).toEqual([
+      { kind: 'line', text: '// unclosed' }
+    ]);
+  });
+
+  test('should not mistake an identifier ending in r for a raw prefix', () => {
+    expect(comments(`bar'//'; // real`)).toEqual([
+      { kind: 'line', text: '// real' }
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./strip-worker.js', import.meta.url);
+
+// Turns the `concurrency` option into a worker count: 'auto' uses every
+// available core, anything below 2 means no workers at all.
+export function resolveConcurrency(concurrency = 1) {
+  if (concurrency === 'auto') return os.availableParallelism();
+  const count = Number(concurrency);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid concurrency: ${concurrency} (expected a positive integer or auto)`);
+  }
+  return count;
+}
+
+// Starts `size` worker threads running stripDartComments, or the worker
+// script at `workerUrl`. `strip(source, options)` resolves with the result of
+// whichever worker picks it up; call `close()` once done so the process can
+// exit.
+export function createStripPool(size, workerUrl = WORKER_URL) {
+  const idle = [];
+  const queue = [];
+  const running = new Map();
+  let failure = null;
+  let closing = false;
+
+  function dispatch() {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const task = queue.shift();
+      running.set(worker, task);
+      worker.postMessage({ source: task.source, options: task.options });
+    }
+  }
+
+  // A crashed worker takes the whole pool down with it
+  function fail(error) {
+    if (failure) return;
+    failure = error;
+    for (const task of [...running.values(), ...queue]) task.reject(error);
+    running.clear();
+    queue.length = 0;
+  }
+
+  const workers = Array.from({ length: size }, () => {
+    const worker = new Worker(workerUrl);
+    worker.on('message', ({ result, error }) => {
+      const task = running.get(worker);
+      // The pool failed while this worker was busy: its task is settled
+      if (!task) return;
+      running.delete(worker);
+      idle.push(worker);
+      if (error === undefined) task.resolve(result);
+      else task.reject(new Error(error));
+      dispatch();
+    });
+    worker.on('error', fail);
+    worker.on('exit', code => {
+      if (!closing) fail(new Error(`Strip worker stopped with exit code ${code}`));
+    });
+    idle.push(worker);
+    return worker;
+  });
+
+  return {
+    strip(source, options) {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        queue.push({ source, options, resolve, reject });
+        dispatch();
+      });
+    },
+
+    async close() {
+      closing = true;
+      await Promise.all(workers.map(worker => worker.terminate()));
+    }
+  };
+}
+
+// Calls `fn(item, index)` for every item with at most `limit` calls in flight.
+export async function forEachLimit(items, limit, fn) {
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      await fn(items[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
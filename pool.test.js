@@ -0,0 +1,76 @@
+import { resolveConcurrency, createStripPool, forEachLimit } from './pool.js';
+import { stripDartComments } from './strip.js';
+import { pathToFileURL } from 'url';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+describe('Worker pool', () => {
+  test('should resolve the concurrency option', () => {
+    expect(resolveConcurrency()).toBe(1);
+    expect(resolveConcurrency('3')).toBe(3);
+    expect(resolveConcurrency('auto')).toBe(os.availableParallelism());
+    expect(() => resolveConcurrency(0)).toThrow('Invalid concurrency: 0');
+    expect(() => resolveConcurrency('many')).toThrow('Invalid concurrency: many');
+  });
+
+  test('should strip on worker threads like on the calling thread', async () => {
+    const pool = createStripPool(2);
+    try {
+      const sources = ['// a\nvoid a() {}', 'void b() {} /* b */', '/// Doc\nclass C {}'];
+      const results = await Promise.all(sources.map(source => pool.strip(source, { keepTodos: true, lines: new Set([1]) })));
+      expect(results).toEqual(sources.map(source => stripDartComments(source, { keepTodos: true, lines: new Set([1]) })));
+      await expect(pool.strip('', { generated: 'never' })).rejects.toThrow('Unknown generated code policy: never');
+    } finally {
+      await pool.close();
+    }
+  });
+
+  test('should fail the pool when a worker crashes or exits', async () => {
+    const tmpDir = await dir({ unsafeCleanup: true });
+    const workerPath = path.join(tmpDir.path, 'worker.mjs');
+    await fs.writeFile(workerPath, `import { parentPort } from 'worker_threads';
+parentPort.on('message', ({ source }) => {
+  if (source === 'throw') throw new Error('Worker crashed');
+  if (source === 'exit') process.exit(3);
+  setTimeout(() => parentPort.postMessage({ result: source }), 50);
+});
+`);
+
+    const crashing = createStripPool(2, pathToFileURL(workerPath));
+    try {
+      const slow = crashing.strip('slow');
+      await expect(crashing.strip('throw')).rejects.toThrow('Worker crashed');
+      await expect(slow).rejects.toThrow('Worker crashed');
+      // The slow worker still answers after the pool failed
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await expect(crashing.strip('next')).rejects.toThrow('Worker crashed');
+    } finally {
+      await crashing.close();
+    }
+
+    const exiting = createStripPool(1, pathToFileURL(workerPath));
+    try {
+      await expect(exiting.strip('exit')).rejects.toThrow('Strip worker stopped with exit code 3');
+    } finally {
+      await exiting.close();
+      await tmpDir.cleanup();
+    }
+  });
+
+  test('should bound the calls in flight and visit every item once', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const seen = [];
+    await forEachLimit([1, 2, 3, 4, 5, 6, 7], 3, async (item, index) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      seen[index] = item;
+      inFlight--;
+    });
+    expect(peak).toBe(3);
+    expect(seen).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  });
+});
@@ -0,0 +1,215 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { toPosix } from './util.js';
+
+export const REPORT_FORMATS = ['json', 'sarif', 'junit'];
+
+const { name: TOOL_NAME, version: TOOL_VERSION } = fs.readJsonSync(new URL('./package.json', import.meta.url));
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SRCROOT = '%SRCROOT%';
+
+export function checkReportFormat(format) {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+function byPosition(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
+// Builds the report of a removeComments run: every file with the comments
+// removed from it and those kept, in source order. File paths are prefixed
+// with `base`, such as the project path, so that the report can be read from
+// wherever it is written.
+export function reportFromResults(results, base = '') {
+  return {
+    mode: 'strip',
+    files: results.map(result => ({
+      file: toPosix(path.join(base, result.file)),
+      comments: [
+        ...(result.removed ?? []).map(comment => ({ ...comment, removed: true })),
+        ...(result.kept ?? []).map(comment => ({ ...comment, removed: false }))
+      ].sort(byPosition),
+      ...(result.error && { error: result.error })
+    }))
+  };
+}
+
+// Builds the report of checkComments findings, listed with `includeKept` so
+// that the comments kept show up too. Only files with comments appear.
+export function reportFromFindings(findings, base = '') {
+  const files = new Map();
+  for (const { file, ...comment } of findings) {
+    const name = toPosix(path.join(base, file));
+    if (!files.has(name)) files.set(name, []);
+    files.get(name).push({ ...comment, removed: !comment.reason });
+  }
+  return {
+    mode: 'check',
+    files: [...files].map(([file, comments]) => ({ file, comments: comments.sort(byPosition) }))
+  };
+}
+
+// Joins the reports of several packages, as the workspace commands return them.
+export function mergeReports(reports) {
+  return {
+    mode: reports[0]?.mode ?? 'strip',
+    files: reports.flatMap(report => report.files)
+  };
+}
+
+function summarize({ files }) {
+  const comments = files.flatMap(entry => entry.comments);
+  const removed = comments.filter(comment => comment.removed).length;
+  return {
+    files: files.length,
+    failed: files.filter(entry => entry.error).length,
+    comments: comments.length,
+    removed,
+    kept: comments.length - removed
+  };
+}
+
+function toJson(report) {
+  return JSON.stringify({
+    tool: { name: TOOL_NAME, version: TOOL_VERSION },
+    mode: report.mode,
+    summary: summarize(report),
+    files: report.files
+  }, null, 2);
+}
+
+// Where a file is in SARIF terms: relative to `root` under the %SRCROOT%
+// base, which code scanning maps onto the repository when the tool runs from
+// its root, or an absolute file:// URI for a file outside `root`.
+function artifactLocation(file, root) {
+  const absolute = path.resolve(root, file);
+  const relative = path.relative(root, absolute);
+  if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return { uri: pathToFileURL(absolute).href };
+  }
+  return { uri: toPosix(relative).split('/').map(encodeURIComponent).join('/'), uriBaseId: SRCROOT };
+}
+
+// Comments that check mode finds are warnings, so that code scanning flags
+// them; those a strip run removed are only notes. Kept comments are listed
+// as suppressed results, the keep reason being the justification.
+function toSarif(report, root) {
+  const ruleId = report.mode === 'check' ? 'leftover-comment' : 'removed-comment';
+  const rule = report.mode === 'check'
+    ? { id: ruleId, shortDescription: { text: 'Comment left in the source' }, defaultConfiguration: { level: 'warning' } }
+    : { id: ruleId, shortDescription: { text: 'Comment removed from the source' }, defaultConfiguration: { level: 'note' } };
+
+  const results = report.files.flatMap(({ file, comments }) => comments.map(comment => ({
+    ruleId,
+    level: rule.defaultConfiguration.level,
+    message: { text: `${comment.kind} comment: ${comment.text.split(/\r\n|\r|\n/)[0]}` },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: artifactLocation(file, root),
+        region: { startLine: comment.line, startColumn: comment.column }
+      }
+    }],
+    ...(!comment.removed && { suppressions: [{ kind: 'inSource', justification: comment.reason }] })
+  })));
+  const failures = report.files.filter(entry => entry.error);
+
+  return JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, version: TOOL_VERSION, rules: [rule] } },
+      originalUriBaseIds: { [SRCROOT]: { uri: `${pathToFileURL(root).href.replace(/\/$/, '')}/` } },
+      invocations: [{
+        executionSuccessful: failures.length === 0,
+        toolExecutionNotifications: failures.map(({ file, error }) => ({
+          level: 'error',
+          message: { text: error },
+          locations: [{ physicalLocation: { artifactLocation: artifactLocation(file, root) } }]
+        }))
+      }],
+      results
+    }]
+  }, null, 2);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newlines are not allowed in XML
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+function attributes(values) {
+  return Object.entries(values).map(([key, value]) => `${key}="${escapeXml(value)}"`).join(' ');
+}
+
+// One test suite per file and one test case per comment. In check mode a
+// comment still to be removed is a failure; kept comments are skipped and a
+// file that could not be processed is an error.
+function toJunit(report) {
+  const check = report.mode === 'check';
+  const lines = [];
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+
+  for (const { file, comments, error } of report.files) {
+    const cases = [];
+    const counts = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+    for (const comment of comments) {
+      const name = `${comment.line}:${comment.column} ${comment.kind} comment`;
+      counts.tests++;
+      if (!comment.removed) {
+        counts.skipped++;
+        cases.push(`    <testcase ${attributes({ classname: file, name })}>`);
+        cases.push(`      <skipped ${attributes({ message: `Kept: ${comment.reason}` })}/>`);
+        cases.push('    </testcase>');
+      } else if (check) {
+        counts.failures++;
+        cases.push(`    <testcase ${attributes({ classname: file, name })}>`);
+        cases.push(`      <failure ${attributes({ message: 'Comment left in the source', type: comment.kind })}>${escapeXml(comment.text)}</failure>`);
+        cases.push('    </testcase>');
+      } else {
+        cases.push(`    <testcase ${attributes({ classname: file, name })}/>`);
+      }
+    }
+    if (error) {
+      counts.tests++;
+      counts.errors++;
+      cases.push(`    <testcase ${attributes({ classname: file, name: 'strip comments' })}>`);
+      cases.push(`      <error ${attributes({ message: error })}/>`);
+      cases.push('    </testcase>');
+    }
+
+    for (const key of Object.keys(totals)) totals[key] += counts[key];
+    lines.push(`  <testsuite ${attributes({ name: file, ...counts })}>`, ...cases, '  </testsuite>');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${attributes({ name: TOOL_NAME, ...totals })}>`,
+    ...lines,
+    '</testsuites>'
+  ].join('\n');
+}
+
+// Renders a report built by reportFromResults or reportFromFindings as JSON,
+// SARIF 2.1.0 or JUnit XML. SARIF locations are relative to `root`, the
+// working directory unless given.
+export function formatReport(report, format, { root = process.cwd() } = {}) {
+  switch (checkReportFormat(format)) {
+    case 'sarif':
+      return toSarif(report, path.resolve(root));
+    case 'junit':
+      return toJunit(report);
+    default:
+      return toJson(report);
+  }
+}
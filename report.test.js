@@ -0,0 +1,116 @@
+import { reportFromResults, reportFromFindings, mergeReports, formatReport, checkReportFormat } from './report.js';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+describe('Reports', () => {
+  const results = [
+    {
+      file: path.join('lib', 'main.dart'),
+      success: true,
+      removed: [{ line: 3, column: 3, kind: 'line', text: '// Removed' }],
+      kept: [{ line: 1, column: 1, kind: 'line', text: '// ignore_for_file: avoid_print', reason: 'analyzer directive' }]
+    },
+    { file: path.join('lib', 'broken.dart'), success: false, error: 'EACCES: permission denied' }
+  ];
+
+  const findings = [
+    { file: path.join('lib', 'main.dart'), line: 1, column: 1, kind: 'line', text: '// TODO: x', reason: 'todo marker' },
+    { file: path.join('lib', 'main.dart'), line: 2, column: 12, kind: 'block', text: '/* <b> & */' }
+  ];
+
+  test('should list removed and kept comments of a run in source order', () => {
+    expect(reportFromResults(results, 'app')).toEqual({
+      mode: 'strip',
+      files: [
+        {
+          file: 'app/lib/main.dart',
+          comments: [
+            { line: 1, column: 1, kind: 'line', text: '// ignore_for_file: avoid_print', reason: 'analyzer directive', removed: false },
+            { line: 3, column: 3, kind: 'line', text: '// Removed', removed: true }
+          ]
+        },
+        { file: 'app/lib/broken.dart', comments: [], error: 'EACCES: permission denied' }
+      ]
+    });
+  });
+
+  test('should group check findings by file', () => {
+    const report = mergeReports([reportFromFindings(findings), reportFromFindings([], 'other')]);
+    expect(report.mode).toBe('check');
+    expect(report.files).toEqual([{
+      file: 'lib/main.dart',
+      comments: [
+        { line: 1, column: 1, kind: 'line', text: '// TODO: x', reason: 'todo marker', removed: false },
+        { line: 2, column: 12, kind: 'block', text: '/* <b> & */', removed: true }
+      ]
+    }]);
+  });
+
+  test('should summarize the run in JSON', () => {
+    const json = JSON.parse(formatReport(reportFromResults(results), 'json'));
+    expect(json.tool.name).toBe('flutter-comment-remover');
+    expect(json.summary).toEqual({ files: 2, failed: 1, comments: 2, removed: 1, kept: 1 });
+    expect(json.files[0].comments).toHaveLength(2);
+  });
+
+  test('should report leftover comments as SARIF warnings and kept ones as suppressed', () => {
+    const sarif = JSON.parse(formatReport(reportFromFindings(findings), 'sarif'));
+    expect(sarif.version).toBe('2.1.0');
+    const [run] = sarif.runs;
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['leftover-comment']);
+    expect(run.results).toEqual([
+      expect.objectContaining({
+        ruleId: 'leftover-comment',
+        suppressions: [{ kind: 'inSource', justification: 'todo marker' }]
+      }),
+      {
+        ruleId: 'leftover-comment',
+        level: 'warning',
+        message: { text: 'block comment: /* <b> & */' },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: 'lib/main.dart', uriBaseId: '%SRCROOT%' },
+            region: { startLine: 2, startColumn: 12 }
+          }
+        }]
+      }
+    ]);
+  });
+
+  test('should give SARIF locations relative to the root', () => {
+    const root = path.resolve('repo');
+    const report = reportFromFindings(findings, path.join(root, 'my app'));
+    const sarif = JSON.parse(formatReport(report, 'sarif', { root }));
+    const [run] = sarif.runs;
+    expect(run.originalUriBaseIds).toEqual({ '%SRCROOT%': { uri: `${pathToFileURL(root).href}/` } });
+    expect(run.results[0].locations[0].physicalLocation.artifactLocation)
+      .toEqual({ uri: 'my%20app/lib/main.dart', uriBaseId: '%SRCROOT%' });
+
+    const outside = JSON.parse(formatReport(report, 'sarif', { root: path.join(root, 'elsewhere') })).runs[0];
+    expect(outside.results[0].locations[0].physicalLocation.artifactLocation)
+      .toEqual({ uri: pathToFileURL(path.join(root, 'my app', 'lib', 'main.dart')).href });
+  });
+
+  test('should report failed files in the SARIF invocation', () => {
+    const [run] = JSON.parse(formatReport(reportFromResults(results), 'sarif')).runs;
+    expect(run.results.map(result => result.level)).toEqual(['note', 'note']);
+    expect(run.invocations[0].executionSuccessful).toBe(false);
+    expect(run.invocations[0].toolExecutionNotifications[0].message.text).toBe('EACCES: permission denied');
+  });
+
+  test('should write JUnit XML with failures, skips and errors', () => {
+    const check = formatReport(reportFromFindings(findings), 'junit');
+    expect(check).toContain('<testsuites name="flutter-comment-remover" tests="2" failures="1" errors="0" skipped="1">');
+    expect(check).toContain('<skipped message="Kept: todo marker"/>');
+    expect(check).toContain('<failure message="Comment left in the source" type="block">/* &lt;b&gt; &amp; */</failure>');
+
+    const run = formatReport(reportFromResults(results), 'junit');
+    expect(run).toContain('<testcase classname="lib/main.dart" name="3:3 line comment"/>');
+    expect(run).toContain('<error message="EACCES: permission denied"/>');
+    expect(run).not.toContain('<failure');
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => checkReportFormat('html')).toThrow('Unknown report format: html (expected json, sarif, junit)');
+  });
+});
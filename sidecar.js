@@ -0,0 +1,402 @@
+// Removed comments kept aside so that they can be put back later. Each
+// stripped file gets a sidecar under .racfp/comments/ listing its removed
+// comments, each anchored to the code tokens around it rather than to an
+// offset, so that it can find its place again after the code was edited.
+
+import { glob } from 'glob';
+import fs from 'fs-extra';
+import path from 'path';
+import { tokenize } from './lexer.js';
+import { createBackup } from './backup.js';
+import { writeFileAtomic } from './write.js';
+import { isHorizontalSpace, isLineBreak, splitLines } from './util.js';
+
+export const SIDECAR_DIR = path.join('.racfp', 'comments');
+
+const SIDECAR_VERSION = 1;
+
+// Code tokens kept on each side of a comment
+const ANCHOR_SIZE = 4;
+
+// Splits Dart source into code tokens: string literals, identifiers and
+// numbers, and single punctuation characters. Comments are skipped. A string
+// with `${...}` interpolations is split around them, and the code inside is
+// split like any other, so that comments in there keep their anchors.
+function codeTokens(source) {
+  const tokenAt = new Map(tokenize(source).map(token => [token.start, token]));
+  const tokens = [];
+  const push = (start, end) => tokens.push({ text: source.slice(start, end), start, end });
+
+  function scan(pos, end) {
+    while (pos < end) {
+      const token = tokenAt.get(pos);
+      if (token) {
+        if (token.type === 'string') {
+          let start = pos;
+          for (const interpolation of token.interpolations) {
+            push(start, interpolation.start);
+            scan(interpolation.start, interpolation.end);
+            start = interpolation.end;
+          }
+          push(start, token.end);
+        }
+        pos = token.end;
+      } else if (/\s/.test(source[pos])) {
+        pos++;
+      } else {
+        const start = pos;
+        if (/[\w$]/.test(source[pos])) {
+          while (pos < end && /[\w$]/.test(source[pos]) && !tokenAt.has(pos)) pos++;
+        } else {
+          pos++;
+        }
+        push(start, pos);
+      }
+    }
+  }
+
+  scan(0, source.length);
+  return tokens;
+}
+
+// The lines of `source`, without the empty one after a final line break.
+function sourceLines(source) {
+  const lines = splitLines(source);
+  if (lines[lines.length - 1].text === '') lines.pop();
+  return lines;
+}
+
+function lineIndexOf(lines, offset) {
+  let low = 0;
+  let high = lines.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lines[mid].start <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+function lineStartOf(source, offset) {
+  let start = offset;
+  while (start > 0 && !isLineBreak(source[start - 1])) start--;
+  return start;
+}
+
+function lineEndOf(source, offset) {
+  let end = offset;
+  while (end < source.length && !isLineBreak(source[end])) end++;
+  return end;
+}
+
+// Counts the blank lines right above the line starting at `lineStart`.
+function blankLinesAbove(source, lineStart) {
+  let count = 0;
+  let end = lineStart;
+  while (end > 0) {
+    let start = end - 1;
+    if (source[start] === '\n' && source[start - 1] === '\r') start--;
+    const previous = lineStartOf(source, start);
+    if (source.slice(previous, start).trim() !== '') break;
+    count++;
+    end = previous;
+    if (previous === 0) break;
+  }
+  return count;
+}
+
+// Counts the blank lines right below the line ending at `lineEnd`.
+function blankLinesBelow(source, lineEnd) {
+  let count = 0;
+  let pos = lineEnd;
+  while (pos < source.length) {
+    pos += source.startsWith('\r\n', pos) ? 2 : 1;
+    const end = lineEndOf(source, pos);
+    if (end === source.length && pos === end) break;
+    if (source.slice(pos, end).trim() !== '') break;
+    count++;
+    pos = end;
+  }
+  return count;
+}
+
+// Describes the removed comments of `source`, as stripDartComments lists them
+// with their offsets, so that reinsertComments can put them back into the
+// stripped code. Each entry holds the comment text and kind, the code tokens
+// `before` and `after` it and its `index` among the `total` code tokens,
+// plus how it sat in its line: on a line of its own (`ownLine`, with its
+// `indent` and the blank lines around it) or next to code (with the spaces
+// on either side). Comments following each other on one line are chained
+// with `joinsPrevious`.
+export function describeRemovedComments(source, comments) {
+  const tokens = codeTokens(source);
+  const removed = comments.filter(comment => comment.removed);
+  const entries = [];
+  let index = 0;
+
+  removed.forEach((comment, i) => {
+    while (index < tokens.length && tokens[index].start < comment.start) index++;
+    const previous = removed[i - 1];
+    const lineStart = lineStartOf(source, comment.start);
+    const lineEnd = lineEndOf(source, comment.end);
+    const prefix = source.slice(lineStart, comment.start);
+    const rest = source.slice(comment.end, lineEnd);
+    const joinsPrevious = Boolean(previous) && previous.end >= lineStart &&
+      source.slice(previous.end, comment.start).split('').every(isHorizontalSpace);
+    const fileEnd = source.slice(comment.end);
+
+    entries.push({
+      kind: comment.kind,
+      text: comment.text,
+      line: comment.line,
+      index,
+      total: tokens.length,
+      before: tokens.slice(Math.max(0, index - ANCHOR_SIZE), index).map(token => token.text),
+      after: tokens.slice(index, index + ANCHOR_SIZE).map(token => token.text),
+      ownLine: joinsPrevious ? entries[i - 1].ownLine : prefix.trim() === '',
+      endsLine: rest.trim() === '',
+      indent: /^[ \t]*/.exec(source.slice(lineStart))[0],
+      spaceBefore: /[ \t]*$/.exec(prefix)[0],
+      spaceAfter: /^[ \t]*/.exec(rest)[0],
+      blankLinesBefore: blankLinesAbove(source, lineStart),
+      blankLinesAfter: blankLinesBelow(source, lineEnd),
+      joinsPrevious,
+      // What followed the last comment of the file, line breaks included
+      ...(fileEnd.trim() === '' && { fileEnd })
+    });
+  });
+
+  // A comment followed by another on its line ends the line when that one does
+  for (let i = entries.length - 2; i >= 0; i--) {
+    if (entries[i + 1].joinsPrevious) entries[i].endsLine = entries[i + 1].endsLine;
+  }
+  return entries;
+}
+
+// Counts the anchors of `entry` found at their place before and after
+// `gap`. One token edited next to the comment doesn't hide those further
+// away.
+function matchingTokens(tokens, gap, entry) {
+  const before = entry.before.filter((text, i) => tokens[gap - entry.before.length + i]?.text === text).length;
+  const after = entry.after.filter((text, i) => tokens[gap + i]?.text === text).length;
+  return { before, after };
+}
+
+// Finds the gap between code tokens where `entry` belongs: the one whose
+// surrounding tokens match most of its anchors. A trailing comment belongs
+// with the code before it, so the gap matching more of that side wins before
+// the total counts, and code added after its line doesn't draw it away. Any
+// other comment belongs with the code after it, which breaks ties; then the
+// gap closest to where it was wins. Returns -1 when too little of the anchors is left: the token next to
+// the comment on its side must match, or else most of the others.
+function findGap(tokens, positions, entry) {
+  const anchors = entry.before.length + entry.after.length;
+  if (anchors === 0) return tokens.length === 0 ? 0 : -1;
+
+  const candidates = new Set();
+  for (const position of positions.get(entry.before[entry.before.length - 1]) ?? []) candidates.add(position + 1);
+  for (const position of positions.get(entry.after[0]) ?? []) candidates.add(position);
+  if (entry.before.length === 0) candidates.add(0);
+  if (entry.after.length === 0) candidates.add(tokens.length);
+
+  const trailing = !entry.ownLine && entry.endsLine;
+  const expected = entry.total === 0 ? 0 : (entry.index / entry.total) * tokens.length;
+  let best = -1;
+  let bestRank = null;
+  for (const gap of candidates) {
+    const { before, after } = matchingTokens(tokens, gap, entry);
+    const neighbour = trailing
+      ? tokens[gap - 1]?.text === entry.before[entry.before.length - 1]
+      : (entry.after.length === 0 ? gap === tokens.length : tokens[gap]?.text === entry.after[0]);
+    if (before + after < Math.min(2, anchors) || (!neighbour && before + after < anchors * 0.75)) continue;
+
+    const rank = trailing
+      ? [before, before + after, -Math.abs(gap - expected)]
+      : [before + after, after, -Math.abs(gap - expected)];
+    const differs = rank.findIndex((value, i) => value !== bestRank?.[i]);
+    if (!bestRank || (differs !== -1 && rank[differs] > bestRank[differs])) {
+      best = gap;
+      bestRank = rank;
+    }
+  }
+  return best;
+}
+
+// Groups entries placed in the same gap into runs that shared a line.
+function chainEntries(placed) {
+  const chains = [];
+  for (const { entry, gap } of placed) {
+    const last = chains[chains.length - 1];
+    if (entry.joinsPrevious && last?.gap === gap) {
+      last.text += entry.spaceBefore + entry.text;
+      last.endsLine = entry.endsLine;
+      last.spaceAfter = entry.spaceAfter;
+      last.blankLinesAfter = entry.blankLinesAfter;
+    } else {
+      chains.push({ ...entry, gap });
+    }
+  }
+  return chains;
+}
+
+// Puts the comments described by describeRemovedComments back into `code`,
+// which may have been edited since it was stripped. Comments that had a line
+// of their own get one again, with their indentation and blank lines;
+// trailing comments go back to the end of their line and the others between
+// the same tokens as before. Returns `{ code, placed, unplaced }`, the last
+// two being the entries that found their place and those that didn't.
+export function reinsertComments(code, entries) {
+  const tokens = codeTokens(code);
+  const positions = new Map();
+  tokens.forEach((token, position) => {
+    if (!positions.has(token.text)) positions.set(token.text, []);
+    positions.get(token.text).push(position);
+  });
+
+  const placed = [];
+  const unplaced = [];
+  entries.forEach((entry, order) => {
+    const gap = findGap(tokens, positions, entry);
+    if (gap === -1) unplaced.push(entry);
+    else placed.push({ entry, gap, order });
+  });
+  placed.sort((a, b) => a.gap - b.gap || a.order - b.order);
+
+  const eol = /\r\n|\r|\n/.exec(code)?.[0] ?? '\n';
+  const lines = sourceLines(code);
+  const edits = [];
+  const edit = (start, end, text) => edits.push({ start, end, text, order: edits.length });
+
+  const chains = chainEntries(placed);
+  for (let i = 0; i < chains.length;) {
+    const gap = chains[i].gap;
+    const group = [];
+    while (i < chains.length && chains[i].gap === gap) group.push(chains[i++]);
+    const previous = tokens[gap - 1];
+    const next = tokens[gap];
+
+    // Comments that were at the end of a line go back to the end of the line
+    for (const chain of group.filter(chain => !chain.ownLine && (chain.endsLine || !next) && previous)) {
+      const lineEnd = lineEndOf(code, previous.end);
+      let start = lineEnd;
+      while (start > previous.end && isHorizontalSpace(code[start - 1])) start--;
+      edit(start, lineEnd, chain.spaceBefore + chain.text);
+    }
+
+    // Comments that had lines of their own are inserted as lines above the
+    // next token, sharing the blank lines already there
+    const own = group.filter(chain => (chain.ownLine || !previous) && (chain.endsLine || !next));
+    if (own.length > 0) {
+      // The line to insert above, and the blank lines right above it
+      let line = next ? lineIndexOf(lines, next.start) : (previous ? lineIndexOf(lines, previous.start) + 1 : 0);
+      let existing = 0;
+      if (next) {
+        while (line - existing - 1 >= 0 && lines[line - existing - 1].text.trim() === '') existing++;
+      } else {
+        while (line < lines.length && lines[line].text.trim() === '') {
+          line++;
+          existing++;
+        }
+      }
+
+      const first = own[0];
+      const last = own[own.length - 1];
+      const used = Math.min(first.blankLinesBefore, existing);
+      const block = own.map((chain, index) => {
+        const blanks = index === 0 ? first.blankLinesBefore - used : chain.blankLinesBefore;
+        return eol.repeat(blanks) + chain.indent + chain.text;
+      }).join(eol);
+
+      const at = line - existing + used;
+      const offset = at < lines.length ? lines[at].start : code.length;
+      const after = eol.repeat(Math.max(0, last.blankLinesAfter - (existing - used)));
+      if (offset < code.length) {
+        edit(offset, offset, block + eol + after);
+      } else {
+        // At the end of the file, which may not end with a line break
+        const lead = code !== '' && !isLineBreak(code[code.length - 1]) ? eol : '';
+        edit(offset, offset, lead + block + (last.fileEnd ?? (lead ? after : eol + after)));
+      }
+    }
+
+    // Comments between code on a line go back between the same tokens
+    for (const chain of group.filter(chain => !chain.endsLine && next)) {
+      const sameLine = previous && !/[\r\n]/.test(code.slice(previous.end, next.start));
+      if (sameLine && !chain.ownLine) {
+        edit(previous.end, next.start, chain.spaceBefore + chain.text + chain.spaceAfter);
+      } else {
+        edit(next.start, next.start, chain.text + chain.spaceAfter);
+      }
+    }
+  }
+
+  let output = code;
+  for (const { start, end, text } of edits.sort((a, b) => b.start - a.start || b.order - a.order)) {
+    output = output.slice(0, start) + text + output.slice(end);
+  }
+  return { code: output, placed: placed.map(({ entry }) => entry), unplaced };
+}
+
+function sidecarPath(flutterProjectPath, file) {
+  return path.join(flutterProjectPath, SIDECAR_DIR, `${file}.json`);
+}
+
+// Saves the removed comments of a stripped file. With `merge` they are added
+// to those its sidecar already holds, as when a file stripped in place is
+// stripped again: both sets are anchored to the same code. Writes go through
+// `transaction` when there is one.
+export async function saveSidecar(flutterProjectPath, file, entries, { merge = false, transaction } = {}) {
+  const filePath = sidecarPath(flutterProjectPath, file);
+  let comments = entries;
+  if (merge && (await fs.pathExists(filePath))) {
+    const existing = await fs.readJson(filePath);
+    comments = [...existing.comments, ...entries].sort((a, b) => a.index - b.index);
+  }
+  await fs.ensureDir(path.dirname(filePath));
+  const content = JSON.stringify({ version: SIDECAR_VERSION, file: file.split(path.sep).join('/'), comments }, null, 2);
+  if (transaction) await transaction.write(filePath, content);
+  else await writeFileAtomic(filePath, content);
+}
+
+export async function removeSidecar(flutterProjectPath, file) {
+  await fs.remove(sidecarPath(flutterProjectPath, file));
+}
+
+// Puts the comments kept in the project's sidecars back into their files.
+// The stripped code is read from `from` when given, such as an output
+// directory whose copy was edited since, else from the project itself, and
+// the result is written over the project's file after saving it as a backup
+// (unless `backup` is false; `keepBackups` limits how many runs are kept as
+// for removeComments). A sidecar is removed once all its comments are
+// back; those that found no place stay in it. Returns one `{ file, placed,
+// unplaced }` result per file, with the entries of either kind.
+export async function reinsertProject(flutterProjectPath, options = {}) {
+  const { from, backup = true, keepBackups } = options;
+  const root = path.join(flutterProjectPath, SIDECAR_DIR);
+  const sidecars = (await glob('**/*.json', { cwd: root, dot: true })).sort();
+  if (sidecars.length === 0) {
+    throw new Error('No removed comments to reinsert');
+  }
+
+  const store = backup ? createBackup(flutterProjectPath, { keep: keepBackups }) : null;
+  const results = [];
+  for (const sidecar of sidecars) {
+    const file = sidecar.slice(0, -'.json'.length);
+    const { comments } = await fs.readJson(path.join(root, sidecar));
+    const sourcePath = path.join(from ?? flutterProjectPath, file);
+    if (!(await fs.pathExists(sourcePath))) {
+      results.push({ file, placed: [], unplaced: comments });
+      continue;
+    }
+
+    const { code, placed, unplaced } = reinsertComments(await fs.readFile(sourcePath, 'utf8'), comments);
+    const targetPath = path.join(flutterProjectPath, file);
+    if (store && (await fs.pathExists(targetPath))) await store.save(file);
+    await fs.ensureDir(path.dirname(targetPath));
+    await writeFileAtomic(targetPath, code);
+    if (unplaced.length > 0) await saveSidecar(flutterProjectPath, file, unplaced);
+    else await removeSidecar(flutterProjectPath, file);
+    results.push({ file, placed, unplaced });
+  }
+  return results;
+}
@@ -0,0 +1,166 @@
+import { describeRemovedComments, reinsertComments, reinsertProject, SIDECAR_DIR } from './sidecar.js';
+import { removeComments, stripDartComments } from './index.js';
+import { listBackups } from './backup.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+// Strips `source` and returns the stripped code with the sidecar entries,
+// passed through JSON as they would be when read back from disk.
+function strip(source, options = {}) {
+  const { code, comments } = stripDartComments(source, options);
+  return { code, entries: JSON.parse(JSON.stringify(describeRemovedComments(source, comments))) };
+}
+
+describe('Comment sidecars', () => {
+  const source = `// Header
+
+import 'package:flutter/material.dart';
+
+/// The app.
+/// Second line.
+class App extends StatelessWidget {
+  const App({super.key});
+
+  // Build it
+  @override
+  Widget build(BuildContext context) {
+    return MaterialApp(
+      title: 'Demo', // the title
+      home: const Home(/* inline */ key: null),
+    );
+  }
+}
+/* Trailing block
+   comment */`;
+
+  test('should anchor each removed comment to the code around it', () => {
+    const { entries } = strip(source);
+    expect(entries.map(entry => entry.text)).toEqual([
+      '// Header',
+      '/// The app.',
+      '/// Second line.',
+      '// Build it',
+      '// the title',
+      '/* inline */',
+      '/* Trailing block\n   comment */'
+    ]);
+    expect(entries[4]).toMatchObject({
+      kind: 'line',
+      before: ['title', ':', "'Demo'", ','],
+      after: ['home', ':', 'const', 'Home'],
+      ownLine: false,
+      endsLine: true,
+      spaceBefore: ' '
+    });
+    expect(entries[0]).toMatchObject({ ownLine: true, before: [], blankLinesAfter: 1 });
+  });
+
+  test('should put comments back exactly into unchanged code', () => {
+    const { code, entries } = strip(source);
+    const result = reinsertComments(code, entries);
+    expect(result.code).toBe(source);
+    expect(result.unplaced).toEqual([]);
+  });
+
+  test('should round-trip inline, chained and indented comments', () => {
+    for (const text of [
+      'f(/* a */ x, y /* b */);\nvar s = a/* glued */b;\n',
+      'void f() {\n  /* a */ // b\n  if (x) {\n    // nothing\n  }\n}\n',
+      'var list = [\n  1, // one\n  2,\n];\r\n',
+      "var s = '''\n// not a comment\n'''; // a comment\n",
+      '// Only a comment\n',
+      'print("${a /* x */}"); // FIXME\n',
+      "var s = 'n: ${count(/* all */) + 1} and ${'${b /* deep */}'}';\n"
+    ]) {
+      const { code, entries } = strip(text);
+      expect(reinsertComments(code, entries).code).toBe(text);
+    }
+  });
+
+  test('should find their place again after the code was edited', () => {
+    const { code, entries } = strip(source);
+    const edited = code
+      .replace('const App({super.key});', 'const App({super.key});\n\n  final int count = 0;')
+      .replace("'Demo'", "'Demo app'")
+      .replace('class App', 'int helper() => 1;\n\nclass App');
+    const { code: merged, unplaced } = reinsertComments(edited, entries);
+    expect(unplaced).toEqual([]);
+    expect(merged).toContain("title: 'Demo app', // the title\n");
+    expect(merged).toContain('int helper() => 1;\n\n/// The app.\n/// Second line.\nclass App');
+    expect(merged).toContain('  final int count = 0;\n\n  // Build it\n  @override');
+  });
+
+  test('should keep a trailing comment on its line when code is added below', () => {
+    const { code, entries } = strip('void f() {\n  print(a); // print\n  done();\n}\n');
+    const edited = code.replace('print(a);\n', 'print(a);\n  print(b);\n');
+    const result = reinsertComments(edited, entries);
+    expect(result.code).toBe('void f() {\n  print(a); // print\n  print(b);\n  done();\n}\n');
+    expect(result.unplaced).toEqual([]);
+  });
+
+  test('should leave out comments whose code is gone', () => {
+    const { code, entries } = strip('void a() {}\n\nvoid b() {\n  call(); // gone\n}\n');
+    const edited = code.replace('void b() {\n  call();\n}\n', '');
+    const result = reinsertComments(edited, entries);
+    expect(result.code).toBe(edited);
+    expect(result.unplaced.map(entry => entry.text)).toEqual(['// gone']);
+  });
+
+  describe('in a project', () => {
+    let tmpDir;
+    let outDir;
+
+    beforeEach(async () => {
+      tmpDir = await dir({ unsafeCleanup: true });
+      outDir = await dir({ unsafeCleanup: true });
+      await fs.outputFile(path.join(tmpDir.path, 'lib', 'main.dart'), source);
+    });
+
+    afterEach(async () => {
+      await tmpDir?.cleanup();
+      await outDir?.cleanup();
+    });
+
+    const mainFile = () => path.join(tmpDir.path, 'lib', 'main.dart');
+    const sidecarFile = () => path.join(tmpDir.path, SIDECAR_DIR, 'lib', 'main.dart.json');
+
+    test('should merge an edited copy back into the documented originals', async () => {
+      await removeComments(tmpDir.path, { outDir: outDir.path, sidecar: true });
+      expect((await fs.readJson(sidecarFile())).comments).toHaveLength(7);
+      expect(await fs.pathExists(path.join(outDir.path, SIDECAR_DIR))).toBe(false);
+
+      const copy = path.join(outDir.path, 'lib', 'main.dart');
+      await fs.writeFile(copy, (await fs.readFile(copy, 'utf8')).replace("'Demo'", "'Shipped'"));
+      const [result] = await reinsertProject(tmpDir.path, { from: outDir.path });
+      expect(result).toMatchObject({ file: path.join('lib', 'main.dart'), unplaced: [] });
+      expect(await fs.readFile(mainFile(), 'utf8')).toBe(source.replace("'Demo'", "'Shipped'"));
+      expect(await fs.pathExists(sidecarFile())).toBe(false);
+      expect((await listBackups(tmpDir.path))[0].files).toEqual([{ file: 'lib/main.dart' }]);
+    });
+
+    test('should collect comments over several in-place runs', async () => {
+      await removeComments(tmpDir.path, { sidecar: true, backup: false });
+      await fs.appendFile(mainFile(), '\n// Added later\n');
+      await removeComments(tmpDir.path, { sidecar: true, backup: false });
+      expect((await fs.readJson(sidecarFile())).comments).toHaveLength(8);
+
+      await reinsertProject(tmpDir.path, { backup: false });
+      expect(await fs.readFile(mainFile(), 'utf8')).toBe(`${source}\n// Added later\n`);
+    });
+
+    test('should keep the comments that found no place', async () => {
+      await removeComments(tmpDir.path, { sidecar: true, backup: false });
+      await fs.writeFile(mainFile(), 'void main() {}\n');
+      const [result] = await reinsertProject(tmpDir.path, { backup: false });
+      expect(result.placed).toEqual([]);
+      expect((await fs.readJson(sidecarFile())).comments).toHaveLength(7);
+    });
+
+    test('should write no sidecar in a dry run', async () => {
+      await removeComments(tmpDir.path, { sidecar: true, dryRun: true });
+      expect(await fs.pathExists(sidecarFile())).toBe(false);
+      await expect(reinsertProject(tmpDir.path)).rejects.toThrow('No removed comments to reinsert');
+    });
+  });
+});
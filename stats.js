@@ -0,0 +1,219 @@
+// Comment statistics for the stats command: how much of each file is code,
+// comments and documentation, and what stripping it would save.
+
+import path from 'path';
+import { tokenize } from './lexer.js';
+import { parseDeclarations } from './declarations.js';
+import { stripDartComments } from './strip.js';
+import { toPosix, csvField } from './util.js';
+
+export const STATS_FORMATS = ['table', 'json', 'csv'];
+
+const COUNTS = [
+  'files',
+  'lines',
+  'codeLines',
+  'commentLines',
+  'blankLines',
+  'comments',
+  'docComments',
+  'publicDeclarations',
+  'documented',
+  'bytes',
+  'bytesSaved'
+];
+
+export function checkStatsFormat(format) {
+  if (!STATS_FORMATS.includes(format)) {
+    throw new Error(`Unknown stats format: ${format} (expected ${STATS_FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+// Splits into lines, without the empty one after a final line break.
+function sourceLines(text) {
+  const lines = text.split(/\r\n|\r|\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Measures a single Dart source. A line is a comment line when a comment
+// covers any of its text and a code line when anything else does, so a line
+// with a trailing comment counts as both. Doc coverage looks at the public
+// declarations, directives aside, and whether each has a doc comment.
+// `bytesSaved` is what stripDartComments would save with `options`.
+export function measureSource(source, options = {}) {
+  const tokens = tokenize(source);
+  const comments = tokens.filter(token => token.type === 'comment');
+
+  // The source with its comments blanked out, line breaks aside
+  let masked = '';
+  let cursor = 0;
+  for (const comment of comments) {
+    masked += source.slice(cursor, comment.start) + comment.text.replace(/[^\r\n]/g, ' ');
+    cursor = comment.end;
+  }
+  masked += source.slice(cursor);
+  const lines = sourceLines(source);
+  const codeLines = sourceLines(masked);
+  let commentLines = 0;
+  let codeCount = 0;
+  let blankLines = 0;
+  lines.forEach((line, index) => {
+    if (line.trim() === '') blankLines++;
+    if (codeLines[index].trim() !== '') codeCount++;
+    if (codeLines[index] !== line && line.trim() !== '') commentLines++;
+  });
+
+  const declarations = parseDeclarations(source, tokens)
+    .filter(declaration => declaration.public && declaration.kind !== 'library' && declaration.kind !== 'directive');
+
+  return {
+    lines: lines.length,
+    codeLines: codeCount,
+    commentLines,
+    blankLines,
+    comments: comments.length,
+    docComments: comments.filter(comment => comment.kind === 'doc').length,
+    publicDeclarations: declarations.length,
+    documented: declarations.filter(declaration => declaration.docs.length > 0).length,
+    bytes: Buffer.byteLength(source),
+    bytesSaved: stripDartComments(source, options).stats.bytesSaved
+  };
+}
+
+// Adds up file measurements.
+function sumStats(entries) {
+  const total = Object.fromEntries(COUNTS.map(key => [key, 0]));
+  for (const entry of entries) {
+    for (const key of COUNTS) total[key] += key === 'files' ? (entry.files ?? 1) : entry[key];
+  }
+  return total;
+}
+
+// Rolls file measurements up into per-directory totals, and picks the `top`
+// files with the most comments.
+export function summarizeStats(files, top = 10) {
+  const directories = new Map();
+  for (const entry of files) {
+    const directory = toPosix(path.dirname(entry.file));
+    if (!directories.has(directory)) directories.set(directory, []);
+    directories.get(directory).push(entry);
+  }
+  return {
+    files,
+    directories: [...directories]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([directory, entries]) => ({ directory, ...sumStats(entries) })),
+    total: sumStats(files),
+    mostCommented: [...files]
+      .filter(entry => entry.comments > 0)
+      .sort((a, b) => b.comments - a.comments || a.file.localeCompare(b.file))
+      .slice(0, top)
+  };
+}
+
+function percentage(part, whole) {
+  return whole === 0 ? null : Math.round((part / whole) * 1000) / 10;
+}
+
+function density(entry) {
+  return percentage(entry.commentLines, entry.codeLines + entry.commentLines);
+}
+
+function docCoverage(entry) {
+  return percentage(entry.documented, entry.publicDeclarations);
+}
+
+function withRatios(entry) {
+  return { ...entry, density: density(entry), docCoverage: docCoverage(entry) };
+}
+
+function toJson(packages) {
+  return JSON.stringify({
+    packages: packages.map(({ name, path: dir, stats }) => ({
+      name,
+      path: dir,
+      total: withRatios(stats.total),
+      directories: stats.directories.map(withRatios),
+      files: stats.files.map(withRatios),
+      mostCommented: stats.mostCommented.map(entry => entry.file)
+    }))
+  }, null, 2);
+}
+
+const CSV_COLUMNS = ['lines', 'codeLines', 'commentLines', 'blankLines', 'comments', 'docComments',
+  'publicDeclarations', 'documented', 'bytes', 'bytesSaved'];
+
+// One row per package, directory and file, the scope column telling which.
+// Paths are relative to the workspace, or to the project for a single one.
+function toCsv(packages) {
+  const rows = [['scope', 'package', 'path', 'files', ...CSV_COLUMNS, 'density', 'docCoverage']];
+  const row = (scope, name, location, entry) => {
+    const ratios = withRatios(entry);
+    rows.push([scope, name, location, entry.files ?? 1, ...CSV_COLUMNS.map(key => entry[key]), ratios.density, ratios.docCoverage]);
+  };
+  for (const { name, path: dir, stats } of packages) {
+    const prefix = location => toPosix(path.join(dir, location));
+    row('package', name, toPosix(dir), stats.total);
+    for (const entry of stats.directories) row('directory', name, prefix(entry.directory), entry);
+    for (const entry of stats.files) row('file', name, prefix(entry.file), entry);
+  }
+  return rows.map(fields => fields.map(csvField).join(',')).join('\n');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatPercentage(value) {
+  return value === null ? '-' : `${value}%`;
+}
+
+function table(title, label, entries) {
+  const header = [label, 'Files', 'Code', 'Comment', 'Density', 'Docs', 'Saved'];
+  const rows = entries.map(entry => [
+    entry.name,
+    String(entry.files ?? 1),
+    String(entry.codeLines),
+    String(entry.commentLines),
+    formatPercentage(density(entry)),
+    formatPercentage(docCoverage(entry)),
+    formatBytes(entry.bytesSaved)
+  ]);
+  const widths = header.map((cell, column) => Math.max(cell.length, ...rows.map(row => row[column].length)));
+  const render = row => `  ${row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  ')}`;
+  return [title, render(header), ...rows.map(render)].join('\n');
+}
+
+// Plain text tables of the files, directories and package totals. Density is
+// comment lines over code and comment lines; docs is the share of public
+// declarations with a doc comment.
+function toTable(packages) {
+  const sections = [];
+  for (const { name, path: dir, stats } of packages) {
+    if (packages.length > 1) sections.push(`=== ${name} (${dir}) ===`);
+    sections.push(table('Files', 'File', stats.files.map(entry => ({ ...entry, name: toPosix(entry.file) }))));
+    sections.push(table('Directories', 'Directory', stats.directories.map(entry => ({ ...entry, name: entry.directory }))));
+    sections.push(table('Total', 'Package', [{ ...stats.total, name }]));
+    if (stats.mostCommented.length > 0) {
+      sections.push(['Most comments', ...stats.mostCommented.map(entry =>
+        `  ${String(entry.comments).padStart(5)}  ${toPosix(entry.file)}`)].join('\n'));
+    }
+  }
+  return sections.join('\n\n');
+}
+
+// Renders `{ name, path, stats }` package reports as a table, JSON or CSV.
+export function formatStats(packages, format) {
+  switch (checkStatsFormat(format)) {
+    case 'json':
+      return toJson(packages);
+    case 'csv':
+      return toCsv(packages);
+    default:
+      return toTable(packages);
+  }
+}
@@ -0,0 +1,92 @@
+import { measureSource, summarizeStats, formatStats, checkStatsFormat } from './stats.js';
+
+describe('Comment statistics', () => {
+  const source = `// License header
+
+/// A documented class.
+class Documented {
+  int count = 0; // trailing
+
+  void _private() {}
+  void undocumented() {}
+}
+
+void main() {
+  /* block
+     comment */
+  print('// not a comment');
+}
+`;
+
+  test('should count code, comment and blank lines', () => {
+    const stats = measureSource(source);
+    expect(stats).toMatchObject({
+      lines: 15,
+      codeLines: 8,
+      commentLines: 5,
+      blankLines: 3,
+      comments: 4,
+      docComments: 1
+    });
+  });
+
+  test('should measure doc coverage of public declarations only', () => {
+    // Documented, count, undocumented and main; _private doesn't count
+    expect(measureSource(source)).toMatchObject({ publicDeclarations: 4, documented: 1 });
+  });
+
+  test('should report the bytes stripping would save with the given options', () => {
+    const all = measureSource(source).bytesSaved;
+    const keepingDocs = measureSource(source, { stripDoc: false }).bytesSaved;
+    expect(all).toBeGreaterThan(keepingDocs);
+    expect(keepingDocs).toBeGreaterThan(0);
+    expect(measureSource('void main() {}\n').bytesSaved).toBe(0);
+  });
+
+  const files = [
+    { file: 'lib/a.dart', ...measureSource('// One\n// Two\nvoid a() {}\n') },
+    { file: 'lib/src/b.dart', ...measureSource('/// B\nvoid b() {}\n') },
+    { file: 'lib/src/c.dart', ...measureSource('void c() {}\n') }
+  ];
+
+  test('should roll files up per directory and in total', () => {
+    const stats = summarizeStats(files, 1);
+    expect(stats.directories.map(({ directory, files: count, comments }) => [directory, count, comments])).toEqual([
+      ['lib', 1, 2],
+      ['lib/src', 2, 1]
+    ]);
+    expect(stats.total).toMatchObject({ files: 3, comments: 3, commentLines: 3, codeLines: 3, publicDeclarations: 3, documented: 1 });
+    expect(stats.mostCommented.map(entry => entry.file)).toEqual(['lib/a.dart']);
+  });
+
+  test('should format a table, JSON and CSV', () => {
+    const packages = [{ name: 'app', path: '.', stats: summarizeStats(files) }];
+
+    const table = formatStats(packages, 'table');
+    expect(table).toContain('lib/src/b.dart');
+    expect(table).toMatch(/app\s+3\s+3\s+3\s+50%\s+33.3%/);
+    expect(table).toContain('Most comments');
+
+    const json = JSON.parse(formatStats(packages, 'json'));
+    expect(json.packages[0].total).toMatchObject({ files: 3, density: 50, docCoverage: 33.3 });
+    expect(json.packages[0].mostCommented).toEqual(['lib/a.dart', 'lib/src/b.dart']);
+
+    const csv = formatStats(packages, 'csv').split('\n');
+    expect(csv[0]).toBe('scope,package,path,files,lines,codeLines,commentLines,blankLines,comments,docComments,' +
+      'publicDeclarations,documented,bytes,bytesSaved,density,docCoverage');
+    expect(csv.map(row => row.split(',').slice(0, 3).join(','))).toEqual([
+      'scope,package,path',
+      'package,app,.',
+      'directory,app,lib',
+      'directory,app,lib/src',
+      'file,app,lib/a.dart',
+      'file,app,lib/src/b.dart',
+      'file,app,lib/src/c.dart'
+    ]);
+    expect(csv[6].endsWith(',0,0')).toBe(true);
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => checkStatsFormat('xml')).toThrow('Unknown stats format: xml (expected table, json, csv)');
+  });
+});
@@ -0,0 +1,12 @@
+// Runs stripDartComments for the pool in pool.js, one source per message.
+
+import { parentPort } from 'worker_threads';
+import { stripDartComments } from './strip.js';
+
+parentPort.on('message', ({ source, options }) => {
+  try {
+    parentPort.postMessage({ result: stripDartComments(source, options) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,150 @@
+// Comment stripping for a single Dart source string. Nothing in here touches
+// the file system, so it can run in worker threads and editor integrations.
+
+import { tokenize } from './lexer.js';
+import { createKeepMatcher } from './keep.js';
+import { isGeneratedFile, checkGeneratedPolicy } from './generated.js';
+import { isHorizontalSpace, splitLines } from './util.js';
+
+const OPENING_BRACKETS = '([{';
+const CLOSING_BRACKETS = ')]}';
+const IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+
+// Whether a comment spans any of the given 1-based line numbers.
+function touchesLines(comment, lines) {
+  const lastLine = comment.line + (comment.text.match(/\r\n|\r|\n/g) ?? []).length;
+  for (let line = comment.line; line <= lastLine; line++) {
+    if (lines.has(line)) return true;
+  }
+  return false;
+}
+
+// Lists the comments of `source` in order, each marked as removed or kept,
+// the latter with the reason a keep rule gave. When `lines` is set, comments
+// off those lines are left out.
+function classifyComments(source, options) {
+  const tokens = tokenize(source);
+  const keepReason = createKeepMatcher(source, tokens, options);
+  const comments = [];
+  for (const comment of tokens.filter(token => token.type === 'comment')) {
+    if (options.lines && !touchesLines(comment, options.lines)) continue;
+    const { start, end, line, column, kind, text } = comment;
+    const reason = keepReason(comment);
+    comments.push(reason
+      ? { start, end, line, column, kind, text, removed: false, reason }
+      : { start, end, line, column, kind, text, removed: true });
+  }
+  return comments;
+}
+
+// Cuts the `removed` comments out of Dart source. Whitespace around a removed
+// comment is tidied up, lines left empty by a removal are dropped, and so are
+// blank lines that would otherwise end up dangling next to a dropped line.
+function cutComments(source, removed) {
+  if (removed.length === 0) return source;
+
+  let output = '';
+  let cursor = 0;
+  const removals = [];
+
+  for (const comment of removed) {
+    output += source.slice(cursor, comment.start);
+    cursor = comment.end;
+
+    const lineStart = Math.max(output.lastIndexOf('\n'), output.lastIndexOf('\r')) + 1;
+    const opensLine = output.slice(lineStart).trim() === '';
+    const next = source[cursor];
+
+    if (opensLine || OPENING_BRACKETS.includes(output[output.length - 1])) {
+      // Keep the indentation, drop the gap between the comment and the code
+      while (isHorizontalSpace(source[cursor])) cursor++;
+    } else if (next === undefined || isHorizontalSpace(next) || next === '\n' || next === '\r' ||
+               CLOSING_BRACKETS.includes(next) || next === ',' || next === ';') {
+      let end = output.length;
+      while (end > lineStart && isHorizontalSpace(output[end - 1])) end--;
+      output = output.slice(0, end);
+    } else if (IDENTIFIER_CHAR.test(output[output.length - 1]) && IDENTIFIER_CHAR.test(next)) {
+      // The comment was the only thing separating two tokens
+      output += ' ';
+    }
+    removals.push(output.length);
+  }
+  output += source.slice(cursor);
+
+  const lines = splitLines(output);
+  let removal = 0;
+  for (const line of lines) {
+    line.touched = false;
+    while (removal < removals.length && removals[removal] <= line.start + line.text.length) {
+      if (removals[removal] >= line.start) line.touched = true;
+      removal++;
+    }
+    line.blank = line.text.trim() === '';
+    line.dropped = line.touched && line.blank;
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].dropped || (lines[i - 1]?.dropped && lines[i - 1].touched)) continue;
+
+    let before = i - 1;
+    while (before >= 0 && lines[before].blank) lines[before--].dropped = true;
+    let after = i;
+    while (after < lines.length && lines[after].dropped) after++;
+    let following = after;
+    while (following < lines.length && lines[following].blank) following++;
+
+    const previousCode = lines[before]?.text.trim();
+    const nextCode = lines[following]?.text.trim();
+    if (!previousCode || OPENING_BRACKETS.includes(previousCode[previousCode.length - 1]) ||
+        !nextCode || CLOSING_BRACKETS.includes(nextCode[0])) {
+      for (let j = after; j < following; j++) lines[j].dropped = true;
+    }
+  }
+
+  const keptLines = lines.filter(line => !line.dropped);
+  // Don't leave a line break behind a dropped last line
+  if (keptLines.length > 0 && keptLines.length < lines.length && lines[lines.length - 1].dropped &&
+      lines[lines.length - 1].eol === '') {
+    keptLines[keptLines.length - 1] = { ...keptLines[keptLines.length - 1], eol: '' };
+  }
+  return keptLines.map(line => line.text + line.eol).join('');
+}
+
+function countLines(text) {
+  return text === '' ? 0 : splitLines(text).length;
+}
+
+// Strips the comments of a Dart source string without touching the file
+// system. Takes the keep, category and generated options of removeComments,
+// plus `file`, the path relative to the project root that path-dependent
+// rules look at, and `lines`, a set of 1-based line numbers to limit
+// stripping to. Returns:
+//   code       the stripped source
+//   comments   every comment considered, in order, with its offsets, line,
+//              column, kind, text, whether it was removed and, if kept, why
+//   stats      counts of comments, removed and kept ones, and the bytes and
+//              lines saved
+//   generated  whether the source was recognised as generated code
+export function stripDartComments(source, options = {}) {
+  const { generated = 'skip', file, ...keepOptions } = options;
+  checkGeneratedPolicy(generated);
+  const isGenerated = isGeneratedFile(file ?? '', source);
+
+  let code = source;
+  let comments = [];
+  if (!isGenerated || generated !== 'skip') {
+    const keepGeneratedHeader = isGenerated && generated === 'keep-header';
+    comments = classifyComments(source, { ...keepOptions, keepGeneratedHeader, file });
+    code = cutComments(source, comments.filter(comment => comment.removed));
+  }
+
+  const removedCount = comments.filter(comment => comment.removed).length;
+  const stats = {
+    comments: comments.length,
+    removed: removedCount,
+    kept: comments.length - removedCount,
+    bytesSaved: Buffer.byteLength(source) - Buffer.byteLength(code),
+    linesSaved: countLines(source) - countLines(code)
+  };
+  return { code, comments, stats, generated: isGenerated };
+}
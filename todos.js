@@ -0,0 +1,114 @@
+// TODO, FIXME, HACK and XXX markers harvested from comments, so that they can
+// go to an issue tracker before the comments are stripped.
+
+import path from 'path';
+import { tokenize, createLocator } from './lexer.js';
+import { parseDeclarations } from './declarations.js';
+import { toPosix, csvField } from './util.js';
+
+export const TODO_FORMATS = ['markdown', 'csv', 'json'];
+
+// The marker, an optional `(owner)` and the message up to the end of the line
+const MARKER = /\b(TODO|FIXME|HACK|XXX)\b(?:\(([^)]*)\))?:?\s*(.*)/;
+
+const EXTENSIONS = { '.md': 'markdown', '.markdown': 'markdown', '.csv': 'csv', '.json': 'json' };
+
+export function checkTodoFormat(format) {
+  if (!TODO_FORMATS.includes(format)) {
+    throw new Error(`Unknown TODO format: ${format} (expected ${TODO_FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+// The format matching the extension of the file the list is written to.
+export function todoFormatOf(file) {
+  const format = EXTENSIONS[path.extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(`Cannot tell the TODO format of ${file} (use .md, .csv or .json)`);
+  }
+  return format;
+}
+
+function qualifiedName(declaration) {
+  if (!declaration?.name) return null;
+  return declaration.parent?.name ? `${declaration.parent.name}.${declaration.name}` : declaration.name;
+}
+
+// The innermost declaration around `comment`, counting one that ends on the
+// line the comment trails, or the declaration it documents.
+function enclosingDeclaration(declarations, comment, locate) {
+  let enclosing = null;
+  for (const declaration of declarations) {
+    if (declaration.docs.includes(comment)) return declaration;
+    const around = declaration.start <= comment.start &&
+      (comment.start < declaration.end || locate(declaration.end).line === comment.line);
+    if (around && (!enclosing || declaration.start >= enclosing.start)) enclosing = declaration;
+  }
+  return enclosing;
+}
+
+// Lists the markers in the comments of a Dart source, one per comment line
+// that has one: `{ line, column, marker, owner, text, declaration }`, where
+// `owner` comes from the `TODO(owner):` syntax (null without it), `text` is
+// the rest of the line and `declaration` the name of the enclosing
+// declaration, as `Class.member` for members (null at the top level).
+export function findTodos(source) {
+  const tokens = tokenize(source);
+  const comments = tokens.filter(token => token.type === 'comment');
+  if (!comments.some(comment => MARKER.test(comment.text))) return [];
+
+  const declarations = parseDeclarations(source, tokens);
+  const locate = createLocator(source);
+  const todos = [];
+  for (const comment of comments) {
+    comment.text.split(/\r\n|\r|\n/).forEach((text, index) => {
+      const match = MARKER.exec(text);
+      if (!match) return;
+      const [, marker, owner, message] = match;
+      todos.push({
+        line: comment.line + index,
+        column: (index === 0 ? comment.column : 1) + match.index,
+        marker,
+        owner: owner?.trim() || null,
+        text: message.replace(/\s*\*+\/$/, '').trim(),
+        declaration: qualifiedName(enclosingDeclaration(declarations, comment, locate))
+      });
+    });
+  }
+  return todos;
+}
+
+function toMarkdown(todos) {
+  if (todos.length === 0) return '# TODOs\n\nNone found.';
+
+  const sections = ['# TODOs'];
+  const files = [...new Set(todos.map(todo => todo.file))];
+  for (const file of files) {
+    const items = todos.filter(todo => todo.file === file).map(todo => {
+      const owner = todo.owner ? ` (${todo.owner})` : '';
+      const place = todo.declaration ? ` in \`${todo.declaration}\`` : '';
+      return `- [ ] **${todo.marker}**${owner} ${toPosix(file)}:${todo.line}${place}: ${todo.text}`;
+    });
+    sections.push(`## ${toPosix(file)}`, items.join('\n'));
+  }
+  return sections.join('\n\n');
+}
+
+function toCsv(todos) {
+  const columns = ['file', 'line', 'column', 'marker', 'owner', 'declaration', 'text'];
+  const rows = todos.map(todo => columns.map(column => csvField(column === 'file' ? toPosix(todo.file) : todo[column])));
+  return [columns, ...rows].map(row => row.join(',')).join('\n');
+}
+
+// Renders TODOs that have a `file` as a Markdown task list grouped by file,
+// CSV or JSON.
+export function formatTodos(todos, format) {
+  switch (checkTodoFormat(format)) {
+    case 'csv':
+      return toCsv(todos);
+    case 'json':
+      return JSON.stringify(todos.map(todo => ({ ...todo, file: toPosix(todo.file) })), null, 2);
+    default:
+      return toMarkdown(todos);
+  }
+}
@@ -0,0 +1,71 @@
+import { findTodos, formatTodos, todoFormatOf, checkTodoFormat } from './todos.js';
+
+describe('TODO extraction', () => {
+  const source = `// TODO(alice): split this file
+class Cart {
+  /// Adds an item. FIXME: check stock
+  void add() {
+    // HACK: works around a bug, see "#12"
+    print('TODO: not a comment');
+  }
+}
+
+/*
+ * Notes
+ * XXX remove before release
+ */
+void main() {} // TODO( bob ) wire up
+`;
+
+  test('should find markers with owner, position and enclosing declaration', () => {
+    expect(findTodos(source)).toEqual([
+      { line: 1, column: 4, marker: 'TODO', owner: 'alice', text: 'split this file', declaration: null },
+      { line: 3, column: 21, marker: 'FIXME', owner: null, text: 'check stock', declaration: 'Cart.add' },
+      { line: 5, column: 8, marker: 'HACK', owner: null, text: 'works around a bug, see "#12"', declaration: 'Cart.add' },
+      { line: 12, column: 4, marker: 'XXX', owner: null, text: 'remove before release', declaration: null },
+      { line: 14, column: 19, marker: 'TODO', owner: 'bob', text: 'wire up', declaration: 'main' }
+    ]);
+  });
+
+  test('should ignore markers in strings and words that only contain them', () => {
+    expect(findTodos("// TODOS and XXXL\nvar s = 'FIXME';\n")).toEqual([]);
+  });
+
+  const todos = [
+    { file: 'lib/a.dart', line: 1, column: 4, marker: 'TODO', owner: 'alice', text: 'split, "soon"', declaration: null },
+    { file: 'lib/a.dart', line: 3, column: 5, marker: 'FIXME', owner: null, text: 'check stock', declaration: 'Cart.add' },
+    { file: 'lib/b.dart', line: 7, column: 1, marker: 'HACK', owner: null, text: 'temporary', declaration: 'main' }
+  ];
+
+  test('should write a Markdown task list grouped by file', () => {
+    expect(formatTodos(todos, 'markdown')).toBe(`# TODOs
+
+## lib/a.dart
+
+- [ ] **TODO** (alice) lib/a.dart:1: split, "soon"
+- [ ] **FIXME** lib/a.dart:3 in \`Cart.add\`: check stock
+
+## lib/b.dart
+
+- [ ] **HACK** lib/b.dart:7 in \`main\`: temporary`);
+    expect(formatTodos([], 'markdown')).toBe('# TODOs\n\nNone found.');
+  });
+
+  test('should write CSV and JSON', () => {
+    expect(formatTodos(todos, 'csv').split('\n')).toEqual([
+      'file,line,column,marker,owner,declaration,text',
+      'lib/a.dart,1,4,TODO,alice,,"split, ""soon"""',
+      'lib/a.dart,3,5,FIXME,,Cart.add,check stock',
+      'lib/b.dart,7,1,HACK,,main,temporary'
+    ]);
+    expect(JSON.parse(formatTodos(todos, 'json'))).toEqual(todos);
+  });
+
+  test('should pick the format from the file extension', () => {
+    expect(todoFormatOf('todos.md')).toBe('markdown');
+    expect(todoFormatOf('out/TODOS.CSV')).toBe('csv');
+    expect(todoFormatOf('todos.json')).toBe('json');
+    expect(() => todoFormatOf('todos.txt')).toThrow('Cannot tell the TODO format of todos.txt (use .md, .csv or .json)');
+    expect(() => checkTodoFormat('html')).toThrow('Unknown TODO format: html (expected markdown, csv, json)');
+  });
+});
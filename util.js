@@ -0,0 +1,38 @@
+// Small helpers shared by several modules.
+
+import path from 'path';
+
+export function isHorizontalSpace(char) {
+  return char === ' ' || char === '\t';
+}
+
+export function isLineBreak(char) {
+  return char === '\n' || char === '\r';
+}
+
+// Splits text into `{ start, text, eol }` lines, the last one ending without
+// a line break (and empty after a final one).
+export function splitLines(text) {
+  const lines = [];
+  const lineBreak = /\r\n|\r|\n/g;
+  let start = 0;
+  let match;
+  while ((match = lineBreak.exec(text))) {
+    lines.push({ start, text: text.slice(start, match.index), eol: match[0] });
+    start = match.index + match[0].length;
+  }
+  lines.push({ start, text: text.slice(start), eol: '' });
+  return lines;
+}
+
+// A relative path with forward slashes, as globs and reports use them.
+export function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+// A CSV field, quoted when it holds a quote, comma or line break. Null is
+// left empty.
+export function csvField(value) {
+  const text = value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,25 @@
+import { toPosix, csvField, splitLines } from './util.js';
+import path from 'path';
+
+describe('Helpers', () => {
+  test('should join paths with forward slashes', () => {
+    expect(toPosix(path.join('lib', 'src', 'a.dart'))).toBe('lib/src/a.dart');
+    expect(toPosix('main.dart')).toBe('main.dart');
+  });
+
+  test('should split lines with their offsets and line breaks', () => {
+    expect(splitLines('a\r\nb\n')).toEqual([
+      { start: 0, text: 'a', eol: '\r\n' },
+      { start: 3, text: 'b', eol: '\n' },
+      { start: 5, text: '', eol: '' }
+    ]);
+    expect(splitLines('')).toEqual([{ start: 0, text: '', eol: '' }]);
+  });
+
+  test('should quote CSV fields only when needed', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField(3)).toBe('3');
+    expect(csvField(null)).toBe('');
+    expect(csvField('a, "b"\nc')).toBe('"a, ""b""\nc"');
+  });
+});
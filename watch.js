@@ -0,0 +1,108 @@
+import { glob } from 'glob';
+import fs from 'fs-extra';
+import path from 'path';
+import { removeComments, stripDartComments } from './index.js';
+import { resolveOptions } from './config.js';
+import { createFileFilter } from './ignores.js';
+import { writeFileAtomic } from './write.js';
+
+async function statOrNull(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Keeps a stripped copy of a project in `options.outDir` up to date. After a
+// first full pass, every file created, edited, renamed or deleted is
+// re-stripped into the copy (Dart files the include rules pick) or copied
+// as is (anything else), or removed from it, once it has been quiet for
+// `debounce` milliseconds (default 100). `onUpdate` is called with
+// `{ file, action, error }` after each, action being 'updated', 'removed' or
+// 'failed'. Resolves once watching to `{ results, close }`: the results of
+// the first pass, and a function that stops watching and waits for the
+// updates already under way.
+export async function watchProject(flutterProjectPath, options = {}) {
+  const { outDir, debounce = 100, onUpdate = () => {}, ...runOptions } = options;
+  if (!outDir) {
+    throw new Error('Watch mode needs an output directory');
+  }
+
+  const results = await removeComments(flutterProjectPath, { ...runOptions, outDir });
+  const { include, exclude, generated = 'skip', ...stripOptions } = await resolveOptions(flutterProjectPath, runOptions);
+  const isDartFile = await createFileFilter(flutterProjectPath, include, exclude);
+
+  const root = path.resolve(flutterProjectPath);
+  const target = path.resolve(outDir);
+  const relativeOut = path.relative(root, target);
+  const ignoredDirs = ['.git', '.racfp'];
+  if (!relativeOut.startsWith('..') && !path.isAbsolute(relativeOut)) ignoredDirs.push(relativeOut);
+  const isIgnored = file => ignoredDirs.some(dir => file === dir || file.startsWith(`${dir}${path.sep}`));
+
+  async function update(file) {
+    const sourcePath = path.join(root, file);
+    const copyPath = path.join(target, file);
+    try {
+      const stats = await statOrNull(sourcePath);
+      if (!stats) {
+        if (!(await fs.pathExists(copyPath))) return;
+        await fs.remove(copyPath);
+        console.log(`Removed: ${file}`);
+        onUpdate({ file, action: 'removed' });
+        return;
+      }
+      if (stats.isDirectory()) {
+        // A folder moved into the project raises no events for its files
+        for (const entry of await glob('**/*', { cwd: sourcePath, nodir: true, dot: true })) {
+          schedule(path.join(file, entry));
+        }
+        return;
+      }
+
+      await fs.ensureDir(path.dirname(copyPath));
+      if (isDartFile(file)) {
+        const source = await fs.readFile(sourcePath, 'utf8');
+        await writeFileAtomic(copyPath, stripDartComments(source, { ...stripOptions, generated, file }).code);
+      } else {
+        await fs.copy(sourcePath, copyPath);
+      }
+      console.log(`Updated: ${file}`);
+      onUpdate({ file, action: 'updated' });
+    } catch (error) {
+      console.error(`Failed: ${file}: ${error.message}`);
+      onUpdate({ file, action: 'failed', error });
+    }
+  }
+
+  // Updates of one file run one after the other, in the order of the events
+  const timers = new Map();
+  const running = new Map();
+  function schedule(file) {
+    clearTimeout(timers.get(file));
+    timers.set(file, setTimeout(() => {
+      timers.delete(file);
+      const task = (running.get(file) ?? Promise.resolve()).then(() => update(file));
+      running.set(file, task);
+      task.then(() => {
+        if (running.get(file) === task) running.delete(file);
+      });
+    }, debounce));
+  }
+
+  const watcher = fs.watch(root, { recursive: true }, (event, filename) => {
+    if (filename && !isIgnored(filename)) schedule(filename);
+  });
+  watcher.on('error', error => console.error(`Watch error: ${error.message}`));
+
+  return {
+    results,
+    async close() {
+      watcher.close();
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+      await Promise.all(running.values());
+    }
+  };
+}
@@ -0,0 +1,87 @@
+import { watchProject } from './watch.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+describe('Watch mode', () => {
+  let tmpDir;
+  let outDir;
+  let watcher;
+  let updates;
+  let waiting;
+
+  // Resolves with the next update reported for `file`
+  function nextUpdate(file) {
+    return new Promise(resolve => waiting.push({ file, resolve }));
+  }
+
+  function onUpdate(update) {
+    updates.push(update);
+    const index = waiting.findIndex(waiter => waiter.file === update.file);
+    if (index !== -1) waiting.splice(index, 1)[0].resolve(update);
+  }
+
+  beforeEach(async () => {
+    tmpDir = await dir({ unsafeCleanup: true });
+    outDir = await dir({ unsafeCleanup: true });
+    updates = [];
+    waiting = [];
+    await fs.outputFile(path.join(tmpDir.path, 'lib', 'main.dart'), '// Main\nvoid main() {}\n');
+    watcher = await watchProject(tmpDir.path, { outDir: outDir.path, debounce: 20, onUpdate });
+  });
+
+  afterEach(async () => {
+    await watcher?.close();
+    await tmpDir?.cleanup();
+    await outDir?.cleanup();
+  });
+
+  const copyOf = file => path.join(outDir.path, 'lib', file);
+
+  test('should strip the project once before watching', async () => {
+    expect(watcher.results).toEqual([
+      { file: path.join('lib', 'main.dart'), success: true, removed: [expect.objectContaining({ text: '// Main' })], kept: [] }
+    ]);
+    expect(await fs.readFile(copyOf('main.dart'), 'utf8')).toBe('void main() {}\n');
+  });
+
+  test('should re-strip files as they are created and edited', async () => {
+    const file = path.join('lib', 'page.dart');
+    let update = nextUpdate(file);
+    await fs.writeFile(path.join(tmpDir.path, file), '// Page\nclass Page {}\n');
+    expect(await update).toEqual({ file, action: 'updated' });
+    expect(await fs.readFile(copyOf('page.dart'), 'utf8')).toBe('class Page {}\n');
+
+    update = nextUpdate(file);
+    await fs.writeFile(path.join(tmpDir.path, file), 'class Page {} // Edited\n');
+    await update;
+    expect(await fs.readFile(copyOf('page.dart'), 'utf8')).toBe('class Page {}\n');
+  });
+
+  test('should follow renames and deletions', async () => {
+    const from = path.join('lib', 'main.dart');
+    const to = path.join('lib', 'app.dart');
+    const removed = nextUpdate(from);
+    const added = nextUpdate(to);
+    await fs.rename(path.join(tmpDir.path, from), path.join(tmpDir.path, to));
+    expect(await removed).toEqual({ file: from, action: 'removed' });
+    await added;
+    expect(await fs.pathExists(copyOf('main.dart'))).toBe(false);
+    expect(await fs.readFile(copyOf('app.dart'), 'utf8')).toBe('void main() {}\n');
+  });
+
+  test('should debounce bursts of writes into one update', async () => {
+    const file = path.join('lib', 'main.dart');
+    const update = nextUpdate(file);
+    for (let i = 0; i < 5; i++) {
+      await fs.writeFile(path.join(tmpDir.path, file), `// Version ${i}\nvoid main() {}\n`);
+    }
+    await update;
+    await watcher.close();
+    expect(updates.filter(entry => entry.file === file)).toHaveLength(1);
+  });
+
+  test('should need an output directory', async () => {
+    await expect(watchProject(tmpDir.path)).rejects.toThrow('Watch mode needs an output directory');
+  });
+});
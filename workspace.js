@@ -0,0 +1,119 @@
+import { glob } from 'glob';
+import fs from 'fs-extra';
+import path from 'path';
+import { parse } from 'yaml';
+import { removeComments, checkComments, commentStats, extractTodos } from './index.js';
+import { resolveOptions } from './config.js';
+
+// Folders that never hold workspace packages of their own
+const PACKAGE_SEARCH_IGNORE = ['**/.dart_tool/**', '**/build/**', '**/node_modules/**', '**/.racfp/**'];
+
+async function readYamlFile(filePath) {
+  if (!(await fs.pathExists(filePath))) return null;
+  try {
+    return parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid YAML in ${filePath}: ${error.message}`);
+  }
+}
+
+async function findPubspecs(workspacePath, patterns, ignore) {
+  const pubspecs = await glob(patterns.map(pattern => `${pattern.replace(/\/+$/, '')}/pubspec.yaml`), {
+    cwd: workspacePath,
+    ignore: [...PACKAGE_SEARCH_IGNORE, ...ignore]
+  });
+  return pubspecs.map(pubspec => path.dirname(pubspec));
+}
+
+// Finds the packages of a workspace: those listed under `packages:` in
+// melos.yaml, else the `workspace:` entries of the root pubspec.yaml (plus the
+// root package itself), else every folder with a pubspec.yaml. Returns
+// `{ name, path }` entries, `path` relative to the workspace root. Folders
+// matching the `ignore` globs are not searched.
+export async function findPackages(workspacePath, ignore = []) {
+  const melos = await readYamlFile(path.join(workspacePath, 'melos.yaml'));
+  const pubspec = await readYamlFile(path.join(workspacePath, 'pubspec.yaml'));
+
+  let dirs;
+  if (Array.isArray(melos?.packages)) {
+    dirs = await findPubspecs(workspacePath, melos.packages, ignore);
+  } else if (Array.isArray(pubspec?.workspace)) {
+    dirs = ['.', ...(await findPubspecs(workspacePath, pubspec.workspace, ignore))];
+  } else {
+    dirs = await findPubspecs(workspacePath, ['**'], ignore);
+  }
+
+  const packages = [];
+  for (const dir of [...new Set(dirs)].sort()) {
+    const manifest = await readYamlFile(path.join(workspacePath, dir, 'pubspec.yaml'));
+    packages.push({ name: manifest?.name ?? path.basename(path.resolve(workspacePath, dir)), path: dir });
+  }
+  return packages;
+}
+
+// Globs excluding the packages nested inside `dir`, so that each file is
+// handled by the package it belongs to.
+function nestedPackageExcludes(dir, packages) {
+  return packages
+    .map(other => path.relative(dir, other.path))
+    .filter(relative => relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative))
+    .map(relative => `${relative.split(path.sep).join('/')}/**`);
+}
+
+async function forEachPackage(workspacePath, options, run) {
+  // Never mistake the packages of an earlier --out copy for real ones
+  const relativeOut = options.outDir && path.relative(path.resolve(workspacePath), path.resolve(options.outDir));
+  const inside = relativeOut && !relativeOut.startsWith('..') && !path.isAbsolute(relativeOut);
+  const packages = await findPackages(workspacePath, inside ? [`${relativeOut.split(path.sep).join('/')}/**`] : []);
+  if (packages.length === 0) {
+    throw new Error('No packages found in the workspace');
+  }
+
+  const reports = [];
+  for (const { name, path: dir } of packages) {
+    const packagePath = path.join(workspacePath, dir);
+    // Each package is configured by its own racfp.yaml or pubspec.yaml
+    const resolved = await resolveOptions(packagePath, options);
+    resolved.exclude = [...resolved.exclude, ...nestedPackageExcludes(dir, packages)];
+    // The default excludes that apply are already in the list
+    resolved.defaultExclude = false;
+    reports.push({ name, path: dir, ...(await run(packagePath, resolved)) });
+  }
+  return reports;
+}
+
+// Runs removeComments in every package of the workspace and returns one
+// `{ name, path, results }` report per package. With `outDir`, each package
+// is written to its own path below it.
+export async function removeCommentsInWorkspace(workspacePath, options = {}) {
+  return forEachPackage(workspacePath, options, async (packagePath, resolved) => {
+    // Packages keep their place in the workspace under the output directory
+    const outDir = options.outDir && path.join(options.outDir, path.relative(workspacePath, packagePath));
+    return { results: await removeComments(packagePath, { ...resolved, outDir }) };
+  });
+}
+
+// Runs checkComments in every package of the workspace and returns one
+// `{ name, path, findings }` report per package. Finding paths are relative
+// to the package.
+export async function checkCommentsInWorkspace(workspacePath, options = {}) {
+  return forEachPackage(workspacePath, options, async (packagePath, resolved) => ({
+    findings: await checkComments(packagePath, resolved)
+  }));
+}
+
+// Runs commentStats in every package of the workspace and returns one
+// `{ name, path, stats }` report per package.
+export async function commentStatsInWorkspace(workspacePath, options = {}) {
+  return forEachPackage(workspacePath, options, async (packagePath, resolved) => ({
+    stats: await commentStats(packagePath, resolved)
+  }));
+}
+
+// Runs extractTodos in every package of the workspace and returns one
+// `{ name, path, todos }` report per package.
+export async function extractTodosInWorkspace(workspacePath, options = {}) {
+  return forEachPackage(workspacePath, options, async (packagePath, resolved) => ({
+    todos: await extractTodos(packagePath, resolved)
+  }));
+}
@@ -0,0 +1,85 @@
+import { findPackages, removeCommentsInWorkspace, checkCommentsInWorkspace, commentStatsInWorkspace } from './workspace.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+describe('Workspaces', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await dir({ unsafeCleanup: true });
+  });
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await tmpDir.cleanup();
+    }
+  });
+
+  async function createPackage(dir, name, files = {}) {
+    await fs.outputFile(path.join(tmpDir.path, dir, 'pubspec.yaml'), `name: ${name}\n`);
+    for (const [file, content] of Object.entries(files)) {
+      await fs.outputFile(path.join(tmpDir.path, dir, file), content);
+    }
+  }
+
+  test('should find the packages listed in melos.yaml', async () => {
+    await fs.writeFile(path.join(tmpDir.path, 'melos.yaml'), 'name: repo\npackages:\n  - packages/*\n');
+    await createPackage('packages/core', 'core');
+    await createPackage('packages/ui', 'ui');
+    await createPackage('tools/script', 'script');
+    expect(await findPackages(tmpDir.path)).toEqual([
+      { name: 'core', path: path.join('packages', 'core') },
+      { name: 'ui', path: path.join('packages', 'ui') }
+    ]);
+  });
+
+  test('should find pub workspace members and the root package', async () => {
+    await fs.writeFile(path.join(tmpDir.path, 'pubspec.yaml'), 'name: root\nworkspace:\n  - pkgs/a\n');
+    await createPackage('pkgs/a', 'a');
+    await createPackage('pkgs/b', 'b');
+    expect(await findPackages(tmpDir.path)).toEqual([
+      { name: 'root', path: '.' },
+      { name: 'a', path: path.join('pkgs', 'a') }
+    ]);
+  });
+
+  test('should fall back to scanning for pubspec.yaml files', async () => {
+    await createPackage('apps/mobile', 'mobile');
+    await createPackage('apps/mobile/build/cache', 'cache');
+    await createPackage('.dart_tool/pkg', 'tool');
+    expect(await findPackages(tmpDir.path)).toEqual([{ name: 'mobile', path: path.join('apps', 'mobile') }]);
+  });
+
+  test('should strip each package with its own config and report per package', async () => {
+    await createPackage('.', 'root', { 'lib/root.dart': '// Root\nvoid r() {}' });
+    await createPackage('packages/a', 'a', { 'lib/a.dart': '// TODO: keep\n// Drop\nvoid a() {}' });
+    await fs.writeFile(path.join(tmpDir.path, 'packages', 'a', 'racfp.yaml'), 'keepTodos: true\n');
+
+    const reports = await removeCommentsInWorkspace(tmpDir.path, { backup: false });
+    expect(reports.map(({ name, path: dir, results }) => [name, dir, results.map(result => result.file)])).toEqual([
+      ['root', '.', [path.join('lib', 'root.dart')]],
+      ['a', path.join('packages', 'a'), [path.join('lib', 'a.dart')]]
+    ]);
+    expect(await fs.readFile(path.join(tmpDir.path, 'packages', 'a', 'lib', 'a.dart'), 'utf8')).toBe('// TODO: keep\nvoid a() {}');
+    expect(await fs.readFile(path.join(tmpDir.path, 'lib', 'root.dart'), 'utf8')).toBe('void r() {}');
+  });
+
+  test('should check every package', async () => {
+    await createPackage('packages/a', 'a', { 'lib/a.dart': '// A\nvoid a() {}' });
+    await createPackage('packages/b', 'b', { 'lib/b.dart': 'void b() {}' });
+    const reports = await checkCommentsInWorkspace(tmpDir.path);
+    expect(reports.map(report => [report.name, report.findings.length])).toEqual([['a', 1], ['b', 0]]);
+  });
+
+  test('should measure every package on its own', async () => {
+    await createPackage('.', 'root', { 'lib/root.dart': '// Root\nvoid r() {}' });
+    await createPackage('packages/a', 'a', { 'lib/a.dart': '/// Docs\nvoid a() {}' });
+    const reports = await commentStatsInWorkspace(tmpDir.path);
+    expect(reports.map(({ name, stats }) => [name, stats.total.files, stats.total.documented])).toEqual([['root', 1, 0], ['a', 1, 1]]);
+  });
+
+  test('should fail when there are no packages', async () => {
+    await expect(removeCommentsInWorkspace(tmpDir.path)).rejects.toThrow('No packages found in the workspace');
+  });
+});
@@ -0,0 +1,82 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+// The file `filePath` points to when it is a symlink, or `filePath` itself.
+// Writing there keeps the link a link, as a plain write through it would.
+export async function resolveSymlink(filePath) {
+  try {
+    return await fs.realpath(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return filePath;
+    throw error;
+  }
+}
+
+// Writes `content` to a temporary file next to `filePath` and renames it into
+// place, so readers never see a half-written file. The original's mode is
+// carried over, and a symlink is written through rather than replaced.
+// Because a rename would silently replace a read-only file, those are
+// refused up front.
+export async function writeFileAtomic(linkPath, content) {
+  const filePath = await resolveSymlink(linkPath);
+  let mode;
+  try {
+    const stats = await fs.stat(filePath);
+    await fs.access(filePath, fs.constants.W_OK);
+    if ((stats.mode & 0o200) === 0) {
+      const error = new Error(`EACCES: permission denied, file is read-only '${filePath}'`);
+      error.code = 'EACCES';
+      error.path = filePath;
+      throw error;
+    }
+    mode = stats.mode & 0o7777;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`
+  );
+  try {
+    await fs.writeFile(tempPath, content, mode === undefined ? {} : { mode });
+    if (mode !== undefined) await fs.chmod(tempPath, mode);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+}
+
+// Tracks the files changed during a run so they can all be put back if a
+// later file fails. Files the run created are removed again.
+export function createTransaction() {
+  const changed = [];
+
+  return {
+    async write(filePath, content) {
+      const original = (await fs.pathExists(filePath)) ? await fs.readFile(filePath) : null;
+      await writeFileAtomic(filePath, content);
+      changed.push({ filePath, original });
+    },
+
+    // Restores every file written so far, newest first. Returns how many
+    // were restored and the errors of those that could not be.
+    async rollback() {
+      let restored = 0;
+      const errors = [];
+      for (const { filePath, original } of changed.reverse()) {
+        try {
+          if (original === null) await fs.remove(filePath);
+          else await writeFileAtomic(filePath, original);
+          restored++;
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+      changed.length = 0;
+      return { restored, errors };
+    }
+  };
+}
@@ -0,0 +1,76 @@
+import { writeFileAtomic, createTransaction } from './write.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { dir } from 'tmp-promise';
+
+describe('File writes', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await dir({ unsafeCleanup: true });
+  });
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await tmpDir.cleanup();
+    }
+  });
+
+  test('should replace a file and keep its mode', async () => {
+    const filePath = path.join(tmpDir.path, 'main.dart');
+    await fs.writeFile(filePath, 'old', { mode: 0o640 });
+    await writeFileAtomic(filePath, 'new');
+    expect(await fs.readFile(filePath, 'utf8')).toBe('new');
+    expect((await fs.stat(filePath)).mode & 0o777).toBe(0o640);
+    expect(await fs.readdir(tmpDir.path)).toEqual(['main.dart']);
+  });
+
+  test('should write through a symlink', async () => {
+    const target = path.join(tmpDir.path, 'shared', 's.dart');
+    const link = path.join(tmpDir.path, 'lib', 's.dart');
+    await fs.outputFile(target, 'old');
+    await fs.ensureDir(path.dirname(link));
+    await fs.symlink(path.join('..', 'shared', 's.dart'), link);
+
+    await writeFileAtomic(link, 'new');
+    expect((await fs.lstat(link)).isSymbolicLink()).toBe(true);
+    expect(await fs.readFile(target, 'utf8')).toBe('new');
+  });
+
+  test('should create missing files', async () => {
+    const filePath = path.join(tmpDir.path, 'new.dart');
+    await writeFileAtomic(filePath, 'content');
+    expect(await fs.readFile(filePath, 'utf8')).toBe('content');
+  });
+
+  test('should refuse read-only files and leave no temp file behind', async () => {
+    const filePath = path.join(tmpDir.path, 'main.dart');
+    await fs.writeFile(filePath, 'old');
+    await fs.chmod(filePath, 0o444);
+    await expect(writeFileAtomic(filePath, 'new')).rejects.toMatchObject({ code: 'EACCES' });
+    expect(await fs.readFile(filePath, 'utf8')).toBe('old');
+    expect(await fs.readdir(tmpDir.path)).toEqual(['main.dart']);
+  });
+
+  test('should roll back every write of a transaction', async () => {
+    const first = path.join(tmpDir.path, 'a.dart');
+    const second = path.join(tmpDir.path, 'b.dart');
+    await fs.writeFile(first, 'a');
+    await fs.writeFile(second, 'b');
+
+    const transaction = createTransaction();
+    await transaction.write(first, 'A');
+    await transaction.write(second, 'B');
+    expect(await transaction.rollback()).toEqual({ restored: 2, errors: [] });
+    expect(await fs.readFile(first, 'utf8')).toBe('a');
+    expect(await fs.readFile(second, 'utf8')).toBe('b');
+  });
+
+  test('should remove files a transaction created on rollback', async () => {
+    const created = path.join(tmpDir.path, 'new.json');
+    const transaction = createTransaction();
+    await transaction.write(created, '{}');
+    expect(await transaction.rollback()).toEqual({ restored: 1, errors: [] });
+    expect(await fs.pathExists(created)).toBe(false);
+  });
+});